@@ -0,0 +1,177 @@
+// -------------------------
+// Content catalog
+// -------------------------
+// Every artwork and invention on the page. Cards, gallery image lists and
+// reference links are rendered from these entries, so adding a work is a
+// single entry here (plus its strings in ./locales/<code>.json).
+//
+// Localized fields (title, desc, medium, location, image labels and alt
+// texts) hold keys into the locale bundles; everything else is
+// language-neutral. Dimensions (height × width) are optional and formatted
+// per locale. The first image of each work carries the alt text used to
+// describe its card.
+//
+// Images may carry hotspots: details pointed out in the gallery. Each is a
+// box in coordinates normalized to the image (0-1 from the top left), drawn
+// as a rectangle or an ellipse, with a numbered marker at its centre or at
+// the optional anchor point. Label and note are locale keys.
+// Images live in ./images/cards/<section>/<file>.
+const CATALOG = [
+    // Art
+    {
+        id: 'mona-lisa',
+        section: 'art',
+        title: 'monaLisa',
+        desc: 'monaArtDesc',
+        images: [{ file: 'mona_lisa.jpg', alt: 'monaLisaAlt' }],
+        date: '1503–1519',
+        circa: true,
+        medium: 'mediumOilPoplar',
+        dimensions: { height: 77, width: 53, unit: 'cm' },
+        location: 'locationLouvre',
+        links: ['https://en.wikipedia.org/wiki/Mona_Lisa']
+    },
+    {
+        id: 'last-supper',
+        section: 'art',
+        title: 'lastSupper',
+        desc: 'supperDesc',
+        images: [{
+            file: 'last_supper.jpg',
+            alt: 'lastSupperAlt',
+            hotspots: [
+                { shape: 'ellipse', x: 0.47, y: 0.55, width: 0.06, height: 0.12, label: 'hotspotVanishingPoint', note: 'hotspotVanishingPointNote' },
+                { shape: 'rect', x: 0.37, y: 0.51, width: 0.26, height: 0.22, anchor: { x: 0.63, y: 0.51 }, label: 'hotspotWindows', note: 'hotspotWindowsNote' }
+            ]
+        }],
+        date: '1495–1498',
+        medium: 'mediumMural',
+        dimensions: { height: 460, width: 880, unit: 'cm' },
+        location: 'locationSantaMaria',
+        links: ['https://en.wikipedia.org/wiki/The_Last_Supper_(Leonardo)']
+    },
+    {
+        id: 'vitruvian-man',
+        section: 'art',
+        title: 'vitruvian',
+        desc: 'vitruvianDesc',
+        images: [{
+            file: 'vitruvian_man.jpg',
+            alt: 'vitruvianAlt',
+            hotspots: [
+                { shape: 'ellipse', x: 0.072, y: 0.103, width: 0.855, height: 0.629, anchor: { x: 0.5, y: 0.103 }, label: 'hotspotCircle', note: 'hotspotCircleNote' },
+                { shape: 'rect', x: 0.144, y: 0.213, width: 0.712, height: 0.518, anchor: { x: 0.144, y: 0.213 }, label: 'hotspotSquare', note: 'hotspotSquareNote' }
+            ]
+        }],
+        date: '1490',
+        circa: true,
+        medium: 'mediumPenInkMetalpoint',
+        dimensions: { height: 34.6, width: 25.5, unit: 'cm' },
+        location: 'locationAccademia',
+        links: ['https://en.wikipedia.org/wiki/Vitruvian_Man']
+    },
+    {
+        id: 'lady-with-an-ermine',
+        section: 'art',
+        title: 'ladyErmine',
+        desc: 'ermineDesc',
+        images: [{
+            file: 'lady_with_an_ermine.jpg',
+            alt: 'ladyErmineAlt',
+            hotspots: [
+                { shape: 'ellipse', x: 0.57, y: 0.66, width: 0.1, height: 0.08, label: 'hotspotErminePaw', note: 'hotspotErminePawNote' }
+            ]
+        }],
+        date: '1489–1491',
+        circa: true,
+        medium: 'mediumOilWalnut',
+        dimensions: { height: 54, width: 39, unit: 'cm' },
+        location: 'locationCzartoryski',
+        links: ['https://en.wikipedia.org/wiki/Lady_with_an_Ermine']
+    },
+
+    // Inventions
+    {
+        id: 'aerial-screw',
+        section: 'inventions',
+        title: 'aerialScrew',
+        desc: 'aerialDesc',
+        images: [
+            { file: 'air_screw_1.jpg', label: 'imagePrototype', alt: 'aerialScrewAlt' },
+            { file: 'air_screw_2.jpg', label: 'imageSketch' }
+        ],
+        date: '1489',
+        circa: true,
+        medium: 'mediumPenInk',
+        location: 'locationInstitut',
+        links: ['https://en.wikipedia.org/wiki/Leonardo%27s_aerial_screw']
+    },
+    {
+        id: 'armored-tank',
+        section: 'inventions',
+        title: 'armoredTank',
+        desc: 'tankDesc',
+        images: [
+            { file: 'amored_tank_1.JPG', label: 'imageDesign', alt: 'armoredTankAlt' },
+            { file: 'amored_tank_2.jpg', label: 'imageBlueprint' }
+        ],
+        date: '1487',
+        circa: true,
+        medium: 'mediumPenInk',
+        location: 'locationBritishMuseum',
+        links: ['https://en.wikipedia.org/wiki/Leonardo%27s_tank']
+    },
+    {
+        id: 'parachute',
+        section: 'inventions',
+        title: 'parachute',
+        desc: 'parachuteDesc',
+        images: [{ file: 'parachute_design.jpg', alt: 'parachuteAlt' }],
+        date: '1485',
+        circa: true,
+        medium: 'mediumPenInk',
+        location: 'locationAmbrosiana',
+        links: ['https://en.wikipedia.org/wiki/Leonardo%27s_parachute']
+    },
+    {
+        id: 'robotic-knight',
+        section: 'inventions',
+        title: 'robotKnight',
+        desc: 'robotDesc',
+        images: [{ file: 'robotic_knight.jpg', alt: 'robotKnightAlt' }],
+        date: '1495',
+        circa: true,
+        medium: 'mediumPenInk',
+        location: 'locationAmbrosiana',
+        links: ['https://en.wikipedia.org/wiki/Leonardo%27s_robot']
+    },
+    {
+        id: 'hydraulic-systems',
+        section: 'inventions',
+        title: 'hydraulic',
+        desc: 'hydraulicDesc',
+        images: [
+            { file: 'hydraulic_systems_1.jpg', label: 'imageDiagram', alt: 'hydraulicAlt' },
+            { file: 'hydraulic_systems_2.png', label: 'imageSchematic' }
+        ],
+        date: '1480–1515',
+        medium: 'mediumPenInk',
+        location: 'locationAmbrosiana',
+        links: ['https://en.wikipedia.org/wiki/Science_and_inventions_of_Leonardo_da_Vinci#Engineering_and_hydraulics']
+    },
+    {
+        id: 'multi-level-bridge',
+        section: 'inventions',
+        title: 'bridge',
+        desc: 'bridgeDesc',
+        images: [
+            { file: 'multi-level_bridge_1.jpg', label: 'imageDesign', alt: 'bridgeAlt' },
+            { file: 'multi-level_bridge_2.jpg', label: 'imageConcept' }
+        ],
+        date: '1487–1490',
+        circa: true,
+        medium: 'mediumPenInk',
+        location: 'locationInstitut',
+        links: ['https://en.wikipedia.org/wiki/Science_and_inventions_of_Leonardo_da_Vinci#Civil_engineering']
+    }
+];
@@ -59,6 +59,152 @@ window.addEventListener('pagehide', () => {
     cleanupFunctions.clear();
 }, { once: true });
 
+// -------------------------
+// Preferences store
+// -------------------------
+// Every saved setting lives under one localStorage key as
+// { version, values }. Each schema entry has a default and a clean()
+// that returns the value in its expected shape (or undefined to reject it),
+// so a stale or hand-edited value falls back to the default. Stores written
+// by older versions, including the separate 'theme' and 'language' keys
+// used before this store existed (version 0), are upgraded when loaded.
+// Changes announce themselves as 'preferencechange' events; external ones
+// (another tab, an imported file) carry detail.external so the page can
+// apply them.
+const PREFERENCES_KEY = 'preferences';
+const PREFERENCES_VERSION = 1;
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'de'];
+
+const isRecord = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const cleanOneOf = (...options) => value => (options.includes(value) ? value : undefined);
+
+function cleanTextRecord(value) {
+    if (!isRecord(value)) return undefined;
+    return Object.fromEntries(Object.entries(value).filter(([, entry]) => typeof entry === 'string'));
+}
+
+function cleanQuizStats(value) {
+    if (!isRecord(value)) return undefined;
+    const count = n => (Number.isInteger(n) && n >= 0 ? n : 0);
+    return { answered: count(value.answered), correct: count(value.correct), bestStreak: count(value.bestStreak) };
+}
+
+const PREFERENCE_SCHEMA = {
+    theme: { default: 'auto', clean: cleanOneOf('auto', 'light', 'dark', 'sepia', 'contrast') },
+    motion: { default: 'auto', clean: cleanOneOf('auto', 'full', 'reduced', 'none') },
+    language: { default: null, clean: cleanOneOf(...SUPPORTED_LANGUAGES) },
+    reading: { default: {}, clean: cleanTextRecord },
+    quizStats: { default: { answered: 0, correct: 0, bestStreak: 0 }, clean: cleanQuizStats }
+};
+
+// The keys written before the store existed, read as version 0
+const LEGACY_PREFERENCE_KEYS = ['theme', 'language'];
+// Keyed by the version they upgrade from. Version 0 values are plain
+// strings that clean() accepts as they are, so none are needed yet.
+const PREFERENCE_MIGRATIONS = {};
+
+let preferenceValues = null;
+
+function migratePreferences(version, values) {
+    let migrated = { ...values };
+    for (let from = version; from < PREFERENCES_VERSION; from++) {
+        if (PREFERENCE_MIGRATIONS[from]) migrated = PREFERENCE_MIGRATIONS[from](migrated);
+    }
+    return migrated;
+}
+
+// Keeps only known keys with valid values; null resets a key to its default
+function cleanPreferences(values) {
+    const cleaned = {};
+    if (!isRecord(values)) return cleaned;
+    Object.entries(PREFERENCE_SCHEMA).forEach(([key, entry]) => {
+        if (!(key in values) || values[key] === undefined) return;
+        const value = values[key] === null ? entry.default : entry.clean(values[key]);
+        if (value !== undefined) cleaned[key] = value;
+    });
+    return cleaned;
+}
+
+function getPreferenceDefaults() {
+    return Object.fromEntries(Object.entries(PREFERENCE_SCHEMA).map(([key, entry]) => [key, entry.default]));
+}
+
+function readLegacyPreferences() {
+    const values = {};
+    LEGACY_PREFERENCE_KEYS.forEach(key => {
+        const raw = localStorage.getItem(key);
+        if (raw !== null) values[key] = raw;
+    });
+    return values;
+}
+
+function savePreferences() {
+    try {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify({ version: PREFERENCES_VERSION, values: preferenceValues }));
+    } catch (e) {}
+}
+
+function loadPreferences() {
+    if (preferenceValues) return preferenceValues;
+    let stored = null;
+    let upgraded = false;
+    try {
+        stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY));
+        if (!isRecord(stored) || typeof stored.version !== 'number') {
+            stored = { version: 0, values: readLegacyPreferences() };
+        }
+    } catch (e) {
+        stored = null;
+    }
+    if (stored && stored.version < PREFERENCES_VERSION) {
+        stored = { version: PREFERENCES_VERSION, values: migratePreferences(stored.version, stored.values) };
+        upgraded = true;
+    }
+    preferenceValues = { ...getPreferenceDefaults(), ...cleanPreferences(stored && stored.values) };
+    if (upgraded) {
+        savePreferences();
+        try { LEGACY_PREFERENCE_KEYS.forEach(key => localStorage.removeItem(key)); } catch (e) {}
+    }
+    return preferenceValues;
+}
+
+// Structured values are copied so callers can't change the store by accident
+function getPreference(key) {
+    const value = loadPreferences()[key];
+    return isRecord(value) ? { ...value } : value;
+}
+
+function dispatchPreferenceChange(key, value, external) {
+    document.dispatchEvent(new CustomEvent('preferencechange', { detail: { key, value, external } }));
+}
+
+function updatePreferences(values, { external = false } = {}) {
+    const current = loadPreferences();
+    const changed = Object.entries(cleanPreferences(values))
+        .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(current[key]));
+    if (!changed.length) return;
+    changed.forEach(([key, value]) => { current[key] = value; });
+    savePreferences();
+    changed.forEach(([key, value]) => dispatchPreferenceChange(key, value, external));
+}
+
+function setPreference(key, value) {
+    updatePreferences({ [key]: value });
+}
+
+// Another tab saved: reload and announce what differs from this tab
+window.addEventListener('storage', (e) => {
+    if (e.key !== PREFERENCES_KEY && e.key !== null) return;
+    const previous = loadPreferences();
+    preferenceValues = null;
+    const next = loadPreferences();
+    Object.keys(PREFERENCE_SCHEMA).forEach(key => {
+        if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+            dispatchPreferenceChange(key, next[key], true);
+        }
+    });
+});
+
 // -------------------------
 // Animation Constants and Utilities
 // -------------------------
@@ -76,6 +222,58 @@ const EASINGS = {
     outSmooth: 'cubic-bezier(0.4, 0, 0.2, 1)'
 };
 
+// Motion setting: 'full', 'reduced' (short fades, no autoplay or slides)
+// or 'none'. Until the user picks one ('auto') it follows the OS
+// reduced-motion query. ANIMATION_TIMING is scaled to match so loader and stagger delays
+// shrink with it.
+const MOTION_LEVELS = ['full', 'reduced', 'none'];
+const MOTION_TIMING_SCALE = { full: 1, reduced: 0.25, none: 0 };
+const BASE_ANIMATION_TIMING = Object.freeze({ ...ANIMATION_TIMING });
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+let motionPreference = 'auto';
+
+function getMotionLevel() {
+    if (MOTION_LEVELS.includes(motionPreference)) return motionPreference;
+    return reducedMotionQuery && reducedMotionQuery.matches ? 'reduced' : 'full';
+}
+
+// Whether animations should be cut down (by the setting or the OS)
+function prefersReducedMotion() {
+    return getMotionLevel() !== 'full';
+}
+
+// Duration in ms for the current motion level
+function motionDuration(ms) {
+    return Math.round(ms * MOTION_TIMING_SCALE[getMotionLevel()]);
+}
+
+function applyMotionUI(level, { persist = false } = {}) {
+    motionPreference = MOTION_LEVELS.includes(level) ? level : 'auto';
+    const resolved = getMotionLevel();
+    Object.keys(BASE_ANIMATION_TIMING).forEach(key => {
+        ANIMATION_TIMING[key] = motionDuration(BASE_ANIMATION_TIMING[key]);
+    });
+    document.documentElement.setAttribute('data-motion', resolved);
+    document.documentElement.classList.toggle('reduce-motion', resolved !== 'full');
+    if (persist) setPreference('motion', motionPreference);
+    // Buttons show the choice, so 'auto' stays marked while it follows the OS
+    document.querySelectorAll('.motion-option').forEach(btn => {
+        const active = btn.dataset.motion === motionPreference;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-checked', active ? 'true' : 'false');
+    });
+    document.dispatchEvent(new CustomEvent('motionchange', { detail: { level: resolved } }));
+}
+
+applyMotionUI(getPreference('motion'));
+
+// Without a saved choice, follow the OS setting while the page is open
+if (reducedMotionQuery) {
+    reducedMotionQuery.addEventListener('change', () => {
+        if (motionPreference === 'auto') applyMotionUI('auto');
+    });
+}
+
 // Helper to stagger animations
 function staggerAnimate(elements, className, delayStart = 0, staggerDelay = 100) {
     elements.forEach((el, i) => {
@@ -91,7 +289,8 @@ function startPageAnimations() {
     const navElements = [
         document.querySelector('.logo'),
         ...document.querySelectorAll('.nav-link'),
-        document.querySelector('.settings-btn'),
+        document.querySelector('.nav-search'),
+        ...document.querySelectorAll('.settings-btn'),
         document.querySelector('.hamburger')
     ].filter(Boolean); // Remove null elements
 
@@ -105,6 +304,10 @@ function startPageAnimations() {
     // Start nav animations with stagger
     staggerAnimate(navElements, 'animate', 0, ANIMATION_TIMING.navStagger);
 
+    // Without full motion the hero just fades in (or is simply shown)
+    const motion = getMotionLevel();
+    if (motion === 'none') return;
+
     // Prepare hero elements
     Object.values(heroElements).forEach(el => {
         if (el) {
@@ -114,7 +317,9 @@ function startPageAnimations() {
     });
 
     // Define hero animations
-    const heroAnimations = [
+    const heroAnimations = motion === 'reduced' ? Object.values(heroElements).map(el => (
+        { el, animation: `fadeIn 0.3s ${EASINGS.outSmooth} forwards` }
+    )) : [
         { el: heroElements.title, animation: `slideInLeft 1.2s ${EASINGS.outBack} forwards` },
         { el: heroElements.dates, animation: `slideInLeft 1s ${EASINGS.outCustom} forwards` },
         { el: heroElements.desc, animation: `slideInLeft 1s ${EASINGS.outCustom} forwards` },
@@ -135,7 +340,7 @@ function startPageAnimations() {
         Object.values(heroElements).forEach(el => {
             if (el) el.style.willChange = 'auto';
         });
-    }, ANIMATION_TIMING.heroDelay + (heroAnimations.length * ANIMATION_TIMING.heroStagger) + 1500);
+    }, ANIMATION_TIMING.heroDelay + (heroAnimations.length * ANIMATION_TIMING.heroStagger) + motionDuration(1500));
 }
 
 // Handle loader timing and initial animations
@@ -178,7 +383,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Remove loader from DOM after all animations
                 setTimeout(() => {
                     loader.remove();
-                }, 1000);
+                }, motionDuration(1000));
             }, ANIMATION_TIMING.loaderFadeOut);
             
         }, remainingLoaderTime);
@@ -213,40 +418,413 @@ document.addEventListener('DOMContentLoaded', () => {
     preloadHeroImages();
 });
 
+// -------------------------
+// Zoom and Pan
+// -------------------------
+function getTouchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+function getTouchCenter(touches) {
+    return {
+        x: (touches[0].clientX + touches[1].clientX) / 2,
+        y: (touches[0].clientY + touches[1].clientY) / 2
+    };
+}
+
+// Wheel/trackpad, pinch and double-tap/double-click zoom for a layer centred
+// inside a clipping viewport. Panning is clamped to the layer's edges.
+class ZoomController {
+    constructor(viewport, layer, { maxScale = 4, doubleTapScale = 2.5, onChange = null } = {}) {
+        this.viewport = viewport;
+        this.layer = layer;
+        this.maxScale = maxScale;
+        this.doubleTapScale = doubleTapScale;
+        this.onChange = onChange;
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.pinch = null;
+        this.pan = null;
+        this.tap = null;
+        this.lastTap = null;
+        this.setupEventListeners();
+    }
+
+    get isZoomed() {
+        return this.scale > 1.01;
+    }
+
+    setupEventListeners() {
+        // Mouse wheel; trackpad pinch arrives as ctrl+wheel with small deltas
+        this.viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const intensity = e.ctrlKey ? 0.01 : 0.002;
+            this.zoomAt(this.scale * Math.exp(-e.deltaY * intensity), e.clientX, e.clientY);
+        }, { passive: false });
+
+        this.viewport.addEventListener('dblclick', (e) => {
+            e.preventDefault();
+            this.toggleAt(e.clientX, e.clientY);
+        });
+
+        // Touch: pinch to zoom, drag to pan while zoomed, double-tap to toggle
+        this.viewport.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2) {
+                const center = getTouchCenter(e.touches);
+                this.pinch = { distance: getTouchDistance(e.touches), scale: this.scale, x: center.x, y: center.y };
+                this.pan = null;
+                this.tap = null;
+            } else if (e.touches.length === 1) {
+                const touch = e.touches[0];
+                this.tap = { x: touch.clientX, y: touch.clientY };
+                if (this.isZoomed) {
+                    this.pan = { x: touch.clientX, y: touch.clientY, originX: this.x, originY: this.y };
+                }
+            }
+        }, { passive: true });
+
+        this.viewport.addEventListener('touchmove', (e) => {
+            if (this.pinch && e.touches.length === 2) {
+                e.preventDefault();
+                const center = getTouchCenter(e.touches);
+                // Follow the fingers' midpoint, then scale around it
+                this.x += center.x - this.pinch.x;
+                this.y += center.y - this.pinch.y;
+                this.pinch.x = center.x;
+                this.pinch.y = center.y;
+                this.zoomAt(this.pinch.scale * getTouchDistance(e.touches) / this.pinch.distance, center.x, center.y);
+            } else if (this.pan && e.touches.length === 1) {
+                e.preventDefault();
+                const touch = e.touches[0];
+                this.panTo(this.pan.originX + touch.clientX - this.pan.x, this.pan.originY + touch.clientY - this.pan.y);
+            }
+            if (this.tap && e.touches.length === 1) {
+                const touch = e.touches[0];
+                if (Math.hypot(touch.clientX - this.tap.x, touch.clientY - this.tap.y) > 10) this.tap = null;
+            }
+        }, { passive: false });
+
+        this.viewport.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) this.pinch = null;
+            if (e.touches.length > 0) return;
+            this.pan = null;
+
+            if (!this.tap) return;
+            const now = Date.now();
+            const { x, y } = this.tap;
+            this.tap = null;
+            if (this.lastTap && now - this.lastTap.time < 300 && Math.hypot(x - this.lastTap.x, y - this.lastTap.y) < 30) {
+                this.lastTap = null;
+                this.toggleAt(x, y);
+            } else {
+                this.lastTap = { time: now, x, y };
+            }
+        }, { passive: true });
+
+        // Mouse drag to pan while zoomed
+        this.viewport.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || !this.isZoomed) return;
+            e.preventDefault();
+            this.pan = { x: e.clientX, y: e.clientY, originX: this.x, originY: this.y, mouse: true };
+            this.viewport.classList.add('panning');
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!this.pan || !this.pan.mouse) return;
+            this.panTo(this.pan.originX + e.clientX - this.pan.x, this.pan.originY + e.clientY - this.pan.y);
+        });
+
+        window.addEventListener('mouseup', () => {
+            if (!this.pan || !this.pan.mouse) return;
+            this.pan = null;
+            this.viewport.classList.remove('panning');
+        });
+    }
+
+    // Zoom to an absolute scale, keeping the point under (clientX, clientY) in place
+    zoomAt(scale, clientX, clientY, animate = false) {
+        const next = Math.min(this.maxScale, Math.max(1, scale));
+        const rect = this.viewport.getBoundingClientRect();
+        // Offset from the viewport centre, which is the layer's transform origin
+        const px = clientX - (rect.left + rect.width / 2);
+        const py = clientY - (rect.top + rect.height / 2);
+        const ratio = next / this.scale;
+        this.x = px - (px - this.x) * ratio;
+        this.y = py - (py - this.y) * ratio;
+        this.scale = next;
+        this.apply(animate);
+    }
+
+    // Zoom around the viewport centre (keyboard and buttons)
+    zoomBy(factor) {
+        const rect = this.viewport.getBoundingClientRect();
+        this.zoomAt(this.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2, true);
+    }
+
+    toggleAt(clientX, clientY) {
+        if (this.isZoomed) this.reset(true);
+        else this.zoomAt(this.doubleTapScale, clientX, clientY, true);
+    }
+
+    panTo(x, y) {
+        this.x = x;
+        this.y = y;
+        this.apply();
+    }
+
+    reset(animate = false) {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.apply(animate);
+    }
+
+    // Keep the scaled layer covering the viewport on any axis where it is larger
+    clamp() {
+        const maxX = Math.max(0, (this.layer.offsetWidth * this.scale - this.viewport.clientWidth) / 2);
+        const maxY = Math.max(0, (this.layer.offsetHeight * this.scale - this.viewport.clientHeight) / 2);
+        this.x = Math.min(maxX, Math.max(-maxX, this.x));
+        this.y = Math.min(maxY, Math.max(-maxY, this.y));
+    }
+
+    apply(animate = false) {
+        if (this.scale <= 1) {
+            this.scale = 1;
+            this.x = 0;
+            this.y = 0;
+        }
+        this.clamp();
+        this.layer.style.transition = animate ? `transform 0.3s ${EASINGS.outCustom}` : 'none';
+        this.layer.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.viewport.classList.toggle('zoomed', this.isZoomed);
+        if (this.onChange) this.onChange(this);
+    }
+}
+
+// -------------------------
+// Overlay focus management
+// -------------------------
+// Open overlays (gallery, settings, ...), innermost last. The top overlay
+// traps Tab/Shift+Tab, everything else in <body> is inert, and focus goes
+// back to the opener when it closes.
+const overlayStack = [];
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+    'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => !el.closest('[hidden], [inert]'));
+}
+
+function updateInertBackground() {
+    const top = overlayStack[overlayStack.length - 1];
+    Array.from(document.body.children).forEach(child => {
+        if (child.tagName === 'SCRIPT') return;
+        child.inert = !!top && !child.contains(top.overlay);
+    });
+}
+
+function activateOverlay(overlay, { initialFocus = null, onEscape = null } = {}) {
+    if (overlayStack.some(entry => entry.overlay === overlay)) return;
+    overlayStack.push({ overlay, onEscape, returnFocus: document.activeElement });
+    updateInertBackground();
+    // Wait a frame so the overlay is visible and can take focus
+    requestAnimationFrame(() => {
+        const target = initialFocus || getFocusableElements(overlay)[0] || overlay;
+        target.focus({ preventScroll: true });
+    });
+}
+
+function deactivateOverlay(overlay) {
+    const index = overlayStack.findIndex(entry => entry.overlay === overlay);
+    if (index === -1) return;
+    const [entry] = overlayStack.splice(index, 1);
+    updateInertBackground();
+    document.dispatchEvent(new CustomEvent('overlayclose', { detail: { overlay } }));
+    const returnFocus = entry.returnFocus;
+    if (returnFocus && returnFocus !== document.body && document.contains(returnFocus)) {
+        returnFocus.focus({ preventScroll: true });
+    }
+}
+
+document.addEventListener('keydown', (e) => {
+    const top = overlayStack[overlayStack.length - 1];
+    if (!top) return;
+
+    if (e.key === 'Escape' && top.onEscape) {
+        top.onEscape();
+        return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusableElements(top.overlay);
+    if (!focusable.length) {
+        e.preventDefault();
+        top.overlay.focus();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !top.overlay.contains(document.activeElement);
+    if (e.shiftKey && (outside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (outside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+    }
+});
+
+// -------------------------
+// Gallery deep links (#gallery/<section>/<index>)
+// -------------------------
+const GALLERY_HASH_PATTERN = /^#gallery\/([\w-]+)\/(\d+)$/;
+
+function parseGalleryHash(hash) {
+    const match = GALLERY_HASH_PATTERN.exec(hash || '');
+    return match ? { section: match[1], index: parseInt(match[2], 10) } : null;
+}
+
+function getGalleryHash(section, index) {
+    return `#gallery/${section}/${index}`;
+}
+
+// Images for a gallery section: the hero carousel or a catalog section
+function getGalleryImages(section) {
+    if (section === 'hero') {
+        const heroContainer = document.querySelector('.hero-image-container');
+        if (!heroContainer) return [];
+        // Hero pictures that are also catalog works get their title and facts
+        return getImagesFromContainer(heroContainer).map(image => {
+            const file = image.src.split('/').pop();
+            const work = CATALOG.find(entry => entry.images.some(item => item.file === file));
+            return work ? { ...image, desc: translate(work.desc) || '', work, label: null } : image;
+        });
+    }
+    return getCatalogImages(section);
+}
+
 // -------------------------
 // Image Gallery Viewer
 // -------------------------
 class ImageGalleryViewer {
-    constructor() {
+    constructor({ slideshowInterval = 5000 } = {}) {
+        this.slideshow = {
+            playing: false,
+            interval: slideshowInterval,
+            // Time spent on the current slide, kept across pauses
+            elapsed: 0,
+            lastTick: 0,
+            frame: null,
+            resumeOnVisible: false
+        };
         this.createGalleryDOM();
         this.currentIndex = 0;
         this.images = [];
+        this.section = null;
+        // Preloaded neighbours, keyed by src, kept alive while cached
+        this.preloaded = new Map();
+        // Number of history entries pushed since the viewer opened
+        this.historyDepth = 0;
         this.isOpen = false;
         this.touchStartX = 0;
         this.touchEndX = 0;
         this.isDragging = false;
+        // Detail hotspots stay shown or hidden across images
+        this.hotspotsVisible = true;
         this.setupEventListeners();
     }
 
     createGalleryDOM() {
         const gallery = document.createElement('div');
         gallery.className = 'gallery-viewer';
+        gallery.setAttribute('role', 'dialog');
+        gallery.setAttribute('aria-modal', 'true');
+        gallery.setAttribute('aria-label', 'Image gallery');
+        gallery.dataset.i18nAttr = 'aria-label:imageGallery';
+        gallery.tabIndex = -1;
         gallery.innerHTML = `
             <div class="gallery-content">
-                <button class="gallery-close" aria-label="Close gallery">×</button>
-                <button class="gallery-nav prev" aria-label="Previous image">‹</button>
-                <button class="gallery-nav next" aria-label="Next image">›</button>
+                <button class="gallery-close" aria-label="Close gallery" data-i18n-attr="aria-label:closeGallery">×</button>
+                <button class="gallery-nav prev" aria-label="Previous image" data-i18n-attr="aria-label:previousImage">‹</button>
+                <button class="gallery-nav next" aria-label="Next image" data-i18n-attr="aria-label:nextImage">›</button>
                 <div class="gallery-title"></div>
+                <div class="gallery-toolbar">
+                    <button class="gallery-tool gallery-play" type="button" aria-pressed="false" aria-label="Play slideshow" data-i18n-attr="aria-label:playSlideshow;title:playSlideshow">▶</button>
+                    <select class="gallery-interval" aria-label="Slideshow interval" data-i18n-attr="aria-label:slideshowInterval">
+                        <option value="3000">3 s</option>
+                        <option value="5000">5 s</option>
+                        <option value="8000">8 s</option>
+                        <option value="12000">12 s</option>
+                    </select>
+                    <button class="gallery-tool gallery-hotspots-toggle" type="button" aria-pressed="true" aria-label="Hide details" data-i18n-attr="aria-label:hideHotspots;title:hideHotspots">◎</button>
+                    <button class="gallery-tool gallery-favorite" type="button" aria-pressed="false" aria-label="Add to my collection" data-i18n-attr="aria-label:addToCollection;title:addToCollection">☆</button>
+                    <button class="gallery-tool gallery-reveal" type="button" aria-label="Reveal one image over the other" data-i18n-attr="aria-label:revealOpen;title:revealOpen">◐</button>
+                    <button class="gallery-tool gallery-compare" type="button" aria-label="Compare with another image" data-i18n-attr="aria-label:compareOpen;title:compareOpen">⧉</button>
+                    <button class="gallery-tool gallery-fullscreen" type="button" aria-pressed="false" aria-label="Enter fullscreen" data-i18n-attr="aria-label:enterFullscreen;title:enterFullscreen">⛶</button>
+                </div>
+                <div class="gallery-progress" aria-hidden="true"><div class="gallery-progress-bar"></div></div>
                 <div class="gallery-image-container">
-                    <img class="gallery-image" alt="" />
+                    <div class="gallery-zoom-layer">
+                        <img class="gallery-image" alt="" />
+                        <div class="gallery-hotspots"></div>
+                    </div>
                 </div>
+                <aside class="gallery-info" hidden>
+                    <button class="gallery-info-toggle" type="button" aria-expanded="true" aria-controls="galleryInfoBody">
+                        <span data-i18n="aboutThisWork">About this work</span>
+                    </button>
+                    <div class="gallery-info-body" id="galleryInfoBody">
+                        <p class="gallery-info-desc"></p>
+                        <dl class="gallery-info-facts"></dl>
+                    </div>
+                </aside>
+                <div class="gallery-filmstrip" role="list"></div>
+                <div class="gallery-live visually-hidden" aria-live="polite" aria-atomic="true"></div>
             </div>
         `;
         document.body.appendChild(gallery);
 
         this.element = gallery;
+        this.imageContainer = gallery.querySelector('.gallery-image-container');
         this.imageElement = gallery.querySelector('.gallery-image');
         this.titleElement = gallery.querySelector('.gallery-title');
+        this.filmstripElement = gallery.querySelector('.gallery-filmstrip');
+        this.liveRegion = gallery.querySelector('.gallery-live');
+        this.infoElement = gallery.querySelector('.gallery-info');
+        this.infoToggle = gallery.querySelector('.gallery-info-toggle');
+        this.infoBody = gallery.querySelector('.gallery-info-body');
+        // Start collapsed where the panel would cover most of the image
+        this.setInfoExpanded(!window.matchMedia || !window.matchMedia('(max-width: 768px)').matches);
+        this.playButton = gallery.querySelector('.gallery-play');
+        this.intervalSelect = gallery.querySelector('.gallery-interval');
+        this.fullscreenButton = gallery.querySelector('.gallery-fullscreen');
+        this.favoriteButton = gallery.querySelector('.gallery-favorite');
+        this.compareButton = gallery.querySelector('.gallery-compare');
+        this.revealButton = gallery.querySelector('.gallery-reveal');
+        this.hotspotsToggle = gallery.querySelector('.gallery-hotspots-toggle');
+        this.hotspotsElement = gallery.querySelector('.gallery-hotspots');
+        this.progressBar = gallery.querySelector('.gallery-progress-bar');
+        this.zoom = new ZoomController(this.imageContainer, gallery.querySelector('.gallery-zoom-layer'), {
+            // Zooming in is an interaction, so the slideshow holds still
+            onChange: (zoom) => {
+                if (zoom.isZoomed) this.pauseSlideshow();
+                // Hotspot markers and callouts keep their on-screen size
+                zoom.layer.style.setProperty('--zoom-scale', zoom.scale);
+            }
+        });
+
+        // Show the closest preset to the configured interval
+        const presets = Array.from(this.intervalSelect.options, option => Number(option.value));
+        const closest = presets.reduce((best, value) =>
+            Math.abs(value - this.slideshow.interval) < Math.abs(best - this.slideshow.interval) ? value : best);
+        this.intervalSelect.value = String(closest);
+
+        this.fullscreenButton.hidden = !(document.fullscreenEnabled || document.webkitFullscreenEnabled);
     }
 
     setupEventListeners() {
@@ -254,7 +832,7 @@ class ImageGalleryViewer {
         this.element.querySelector('.gallery-close').addEventListener('click', () => this.close());
 
         // Get the image container for both click and touch events
-        const imageContainer = this.element.querySelector('.gallery-image-container');
+        const imageContainer = this.imageContainer;
 
         // Navigation buttons
         const prevButton = this.element.querySelector('.gallery-nav.prev');
@@ -275,10 +853,16 @@ class ImageGalleryViewer {
             this.next();
         });
 
-        // Touch event handling
+        // Touch event handling (swipe navigation only while not zoomed;
+        // pinch and pan are handled by the zoom controller)
         imageContainer.addEventListener('touchstart', (e) => {
             if (!this.isOpen) return;
+            if (e.touches.length > 1 || this.zoom.isZoomed) {
+                this.isDragging = false;
+                return;
+            }
             this.touchStartX = e.touches[0].clientX;
+            this.touchEndX = this.touchStartX;
             this.isDragging = true;
         }, { passive: true });
 
@@ -313,9 +897,73 @@ class ImageGalleryViewer {
             this.touchEndX = 0;
         }, { passive: true });
 
+        // Caption and facts panel
+        this.infoToggle.addEventListener('click', () => this.setInfoExpanded(!this.infoExpanded));
+        document.addEventListener('contentlanguagechange', () => {
+            const current = this.images[this.currentIndex];
+            if (!this.isOpen || !current) return;
+            this.renderInfo(current);
+            this.imageElement.alt = this.getImageAlt(current);
+        });
+
+        // Slideshow and fullscreen controls
+        this.playButton.addEventListener('click', () => this.toggleSlideshow());
+        this.intervalSelect.addEventListener('change', () => {
+            this.slideshow.interval = Number(this.intervalSelect.value);
+            this.renderProgress();
+        });
+        this.fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+        this.favoriteButton.addEventListener('click', () => {
+            const current = this.images[this.currentIndex];
+            if (current && current.work) toggleFavorite(current.work.id);
+        });
+        // Compare needs a section to pick the second image from
+        this.compareButton.addEventListener('click', () => {
+            const { section, currentIndex } = this;
+            this.close();
+            openCompare(section, currentIndex);
+        });
+        this.hotspotsToggle.addEventListener('click', () => this.setHotspotsVisible(!this.hotspotsVisible));
+        this.hotspotsElement.addEventListener('click', (e) => {
+            const marker = e.target.closest('.gallery-hotspot');
+            if (marker) this.toggleCallout(Number(marker.dataset.index));
+        });
+        this.revealButton.addEventListener('click', () => {
+            const current = this.images[this.currentIndex];
+            this.close();
+            openReveal(current.work);
+        });
+        document.addEventListener('collectionchange', () => {
+            const current = this.images[this.currentIndex];
+            if (!this.isOpen || !current) return;
+            this.updateFavoriteButton(current);
+            this.renderInfo(current);
+        });
+        ['fullscreenchange', 'webkitfullscreenchange'].forEach(type => {
+            document.addEventListener(type, () => this.updateFullscreenButton());
+        });
+
+        // Hold the slideshow while the tab is hidden and pick up where it left off
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.slideshow.playing) {
+                this.pauseSlideshow();
+                this.slideshow.resumeOnVisible = true;
+            } else if (!document.hidden && this.slideshow.resumeOnVisible) {
+                this.slideshow.resumeOnVisible = false;
+                if (this.isOpen && !prefersReducedMotion()) this.playSlideshow();
+            }
+        });
+
+        // Stop advancing as soon as the Motion setting drops below full
+        document.addEventListener('motionchange', (e) => {
+            if (e.detail.level !== 'full') this.pauseSlideshow();
+        });
+
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (!this.isOpen) return;
+            // Leave keys alone while a form control in the viewer has focus
+            if (e.target.closest && e.target.closest('select, input, textarea')) return;
             
             switch(e.key) {
                 case 'ArrowLeft':
@@ -327,12 +975,42 @@ class ImageGalleryViewer {
                 case 'Escape':
                     this.close();
                     break;
+                case '+':
+                case '=':
+                    this.zoom.zoomBy(1.5);
+                    break;
+                case '-':
+                    this.zoom.zoomBy(1 / 1.5);
+                    break;
+                case '0':
+                    this.zoom.reset(true);
+                    break;
+                case ' ':
+                    // Buttons handle Space themselves
+                    if (e.target.closest && e.target.closest('button')) break;
+                    e.preventDefault();
+                    this.toggleSlideshow();
+                    break;
+                case 'f':
+                case 'F':
+                    this.toggleFullscreen();
+                    break;
+                case 'i':
+                case 'I':
+                    this.setInfoExpanded(!this.infoExpanded);
+                    break;
+                case 'h':
+                case 'H':
+                    if (!this.hotspotsToggle.hidden) this.setHotspotsVisible(!this.hotspotsVisible);
+                    break;
             }
         });
 
-        // Prevent any clicks on the image or image container from triggering navigation
+        // Prevent any clicks on the image or image container from triggering navigation;
+        // a click beside the hotspot markers closes the open callout
         imageContainer.addEventListener('click', (e) => {
             e.stopPropagation();
+            if (!e.target.closest('.gallery-hotspot, .gallery-callout')) this.toggleCallout(null);
         });
 
         // Close only when clicking the dark backdrop
@@ -341,6 +1019,63 @@ class ImageGalleryViewer {
                 this.close();
             }
         });
+
+        // Filmstrip jumps straight to the clicked image
+        this.filmstripElement.addEventListener('click', (e) => {
+            const thumb = e.target.closest('.gallery-thumb');
+            if (!thumb || !this.isOpen) return;
+            const index = Number(thumb.dataset.index);
+            if (index === this.currentIndex) return;
+            this.goTo(index, index < this.currentIndex ? 'prev' : 'next');
+        });
+
+        // Back/Forward step through images or close the viewer
+        window.addEventListener('popstate', (e) => this.handleHistoryChange(e.state));
+    }
+
+    handleHistoryChange(state) {
+        const route = parseGalleryHash(window.location.hash);
+        const depth = state && state.gallery ? state.gallery.depth : 0;
+
+        if (!route) {
+            if (this.isOpen) {
+                this.historyDepth = 0;
+                this.close({ fromHistory: true });
+            }
+            return;
+        }
+
+        this.historyDepth = depth;
+        if (this.isOpen && this.section === route.section) {
+            const direction = route.index < this.currentIndex ? 'prev' : 'next';
+            this.goTo(route.index, direction, { fromHistory: true });
+        } else {
+            this.show(null, route.index, route.section, { fromHistory: true });
+        }
+    }
+
+    // Slideshow steps replace the current entry instead of piling up history
+    pushHistory({ replace = false } = {}) {
+        if (!this.section) return;
+        try {
+            const shouldReplace = replace && this.historyDepth > 0;
+            if (!shouldReplace) this.historyDepth += 1;
+            const gallery = { section: this.section, index: this.currentIndex, depth: this.historyDepth };
+            const hash = getGalleryHash(this.section, this.currentIndex);
+            if (shouldReplace) history.replaceState({ gallery }, '', hash);
+            else history.pushState({ gallery }, '', hash);
+        } catch (e) {}
+    }
+
+    // Open the viewer from a #gallery/... URL on page load
+    openFromLocation() {
+        const route = parseGalleryHash(window.location.hash);
+        if (!route) return;
+        // Make the page itself the entry that Back returns to
+        try {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        } catch (e) {}
+        this.show(null, route.index, route.section);
     }
 
     loadImage(src, title) {
@@ -354,78 +1089,243 @@ class ImageGalleryViewer {
         });
     }
 
-    async show(images, startIndex = 0, section = null) {
-        if (section) {
-            // Get all images from the section
-            const cards = Array.from(document.querySelectorAll(`#${section} .content-card`));
-            this.images = cards.flatMap(card => {
-                const title = card.querySelector('.card-title')?.textContent.trim() || '';
-                const desc = card.querySelector('.card-text')?.textContent.trim() || '';
-
-                if (section === 'inventions' && multiImageMap[title]) {
-                    // Map the descriptive names to the actual file names
-                    const fileMap = {
-                        'air_screw_prototype.jpg': 'air_screw_1.jpg',
-                        'air_screw_sketch.jpg': 'air_screw_2.jpg',
-                        'amored_tank_design.JPG': 'amored_tank_1.JPG',
-                        'amored_tank_blueprint.jpg': 'amored_tank_2.jpg',
-                        'hydraulic_systems_diagram.jpg': 'hydraulic_systems_1.jpg',
-                        'hydraulic_systems_schematic.png': 'hydraulic_systems_2.png',
-                        'multi-level_bridge_design.jpg': 'multi-level_bridge_1.jpg',
-                        'multi-level_bridge_concept.jpg': 'multi-level_bridge_2.jpg'
-                    };
-                    
-                    // For cards with multiple images
-                    return multiImageMap[title].map(displayName => ({
-                        src: `./images/cards/inventions/${fileMap[displayName]}`,
-                        title: `${title} - ${displayName.split('.')[0].split('_').pop().replace(/^\w/, c => c.toUpperCase())}`,
-                        desc: desc
-                    }));
-                } else {
-                    // Single image (art or inventions)
-                    const imageName = card.getAttribute('data-image');
-                    return [{
-                        src: `./images/cards/${section}/${imageName}.jpg`,
-                        title: title,
-                        desc: desc
-                    }];
-                }
-            });
-        } else {
-            this.images = images;
+    async show(images, startIndex = 0, section = null, { fromHistory = false } = {}) {
+        // Section galleries are addressable by URL; ad-hoc image lists are not
+        const list = section ? getGalleryImages(section) : images;
+        if (!list || !list.length) return;
+
+        if (list !== this.images) {
+            this.images = list;
+            this.renderFilmstrip();
+        }
+        this.section = section;
+        this.compareButton.hidden = !section;
+        this.currentIndex = Math.min(Math.max(0, startIndex), list.length - 1);
+
+        // Push before locking scroll so the page entry keeps its scroll position
+        if (!fromHistory) this.pushHistory();
+
+        if (!this.isOpen) {
+            this.isOpen = true;
+            activateOverlay(this.element, { initialFocus: this.element.querySelector('.gallery-close') });
+            // Save current scroll position
+            this.scrollY = window.scrollY;
+            // Prevent scrolling
+            document.body.style.overflow = 'hidden';
+            document.body.style.position = 'fixed';
+            document.body.style.width = '100%';
+            document.body.style.top = `-${this.scrollY}px`;
         }
-        
-        this.currentIndex = startIndex;
-        this.isOpen = true;
-        // Save current scroll position
-        this.scrollY = window.scrollY;
-        // Prevent scrolling
-        document.body.style.overflow = 'hidden';
-        document.body.style.position = 'fixed';
-        document.body.style.width = '100%';
-        document.body.style.top = `-${this.scrollY}px`;
         
         this.element.classList.add('active');
         await this.updateImage();
     }
 
+    renderFilmstrip() {
+        const thumbs = this.images.map((image, index) => {
+            const item = document.createElement('div');
+            item.setAttribute('role', 'listitem');
+            item.innerHTML = `
+                <button class="gallery-thumb" type="button" data-index="${index}">
+                    <img src="${image.src}" alt="" loading="lazy" decoding="async" />
+                </button>
+            `;
+            item.querySelector('.gallery-thumb').setAttribute('aria-label', image.title);
+            return item;
+        });
+        this.filmstripElement.replaceChildren(...thumbs);
+        this.filmstripElement.hidden = this.images.length < 2;
+    }
+
+    updateFilmstrip() {
+        const thumbs = this.filmstripElement.querySelectorAll('.gallery-thumb');
+        thumbs.forEach((thumb, index) => {
+            const isCurrent = index === this.currentIndex;
+            thumb.classList.toggle('active', isCurrent);
+            if (isCurrent) thumb.setAttribute('aria-current', 'true');
+            else thumb.removeAttribute('aria-current');
+        });
+
+        // Keep the current thumbnail centred in the strip
+        const active = thumbs[this.currentIndex];
+        if (active) {
+            const left = active.offsetLeft - (this.filmstripElement.clientWidth - active.offsetWidth) / 2;
+            this.filmstripElement.scrollTo({ left: Math.max(0, left), behavior: 'smooth' });
+        }
+    }
+
+    // Warm the cache for the previous and next images so navigation doesn't wait on the network
+    preloadAdjacent() {
+        if (this.images.length < 2) return;
+        [1, -1].forEach(offset => {
+            const image = this.images[(this.currentIndex + offset + this.images.length) % this.images.length];
+            if (!image || this.preloaded.has(image.src)) return;
+            const preloadImg = new Image();
+            preloadImg.decoding = 'async';
+            preloadImg.src = image.src;
+            this.preloaded.set(image.src, preloadImg);
+        });
+    }
+
+    setInfoExpanded(expanded) {
+        this.infoExpanded = expanded;
+        this.infoToggle.setAttribute('aria-expanded', String(expanded));
+        this.infoBody.hidden = !expanded;
+        this.infoElement.classList.toggle('expanded', expanded);
+    }
+
+    // Description plus structured facts for catalog works
+    renderInfo(current) {
+        const work = current.work;
+        const desc = work ? translate(work.desc) : current.desc;
+        const facts = work ? getWorkFacts(work) : [];
+        const note = work && getCollectionNote(work.id);
+        if (note) facts.push({ label: 'collectionNote', value: note });
+
+        this.infoElement.hidden = !desc && !facts.length;
+        this.infoElement.querySelector('.gallery-info-desc').textContent = desc || '';
+        this.infoElement.querySelector('.gallery-info-facts').replaceChildren(...facts.map(fact => {
+            const row = document.createElement('div');
+            row.className = 'gallery-fact';
+            const term = document.createElement('dt');
+            term.textContent = translate(fact.label) || '';
+            const value = document.createElement('dd');
+            if (fact.href) {
+                const link = document.createElement('a');
+                link.href = fact.href;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = fact.value;
+                value.appendChild(link);
+            } else {
+                value.textContent = fact.value;
+            }
+            row.append(term, value);
+            return row;
+        }));
+    }
+
+    // Outlined details with numbered markers; boxes are fractions of the image,
+    // so they follow it through any size and zoom level
+    renderHotspots(current) {
+        const hotspots = current.hotspots || [];
+        this.hotspotsToggle.hidden = !hotspots.length;
+        const items = hotspots.map((hotspot, index) => {
+            const anchor = hotspot.anchor || { x: hotspot.x + hotspot.width / 2, y: hotspot.y + hotspot.height / 2 };
+            const calloutId = `gallery-callout-${index}`;
+            const item = document.createElement('div');
+            item.className = 'gallery-hotspot-item';
+            item.innerHTML = `
+                <span class="gallery-hotspot-shape" data-shape="${hotspot.shape}"></span>
+                <button type="button" class="gallery-hotspot" data-index="${index}" aria-expanded="false"
+                    aria-controls="${calloutId}" data-i18n-attr="aria-label:${hotspot.label}">${index + 1}</button>
+                <div class="gallery-callout" id="${calloutId}" hidden>
+                    <strong class="gallery-callout-title" data-i18n="${hotspot.label}"></strong>
+                    <p class="gallery-callout-text" data-i18n="${hotspot.note}"></p>
+                </div>
+            `;
+            Object.assign(item.querySelector('.gallery-hotspot-shape').style, {
+                left: `${hotspot.x * 100}%`,
+                top: `${hotspot.y * 100}%`,
+                width: `${hotspot.width * 100}%`,
+                height: `${hotspot.height * 100}%`
+            });
+            [item.querySelector('.gallery-hotspot'), item.querySelector('.gallery-callout')].forEach(el => {
+                el.style.left = `${anchor.x * 100}%`;
+                el.style.top = `${anchor.y * 100}%`;
+            });
+            // Open callouts towards the middle of the image
+            item.querySelector('.gallery-callout').classList.toggle('flip', anchor.x > 0.6);
+            return item;
+        });
+        this.hotspotsElement.replaceChildren(...items);
+        applyTranslations(this.hotspotsElement, currentLang);
+        this.setHotspotsVisible(this.hotspotsVisible);
+    }
+
+    setHotspotsVisible(visible) {
+        this.hotspotsVisible = visible;
+        this.hotspotsElement.hidden = !visible;
+        if (!visible) this.toggleCallout(null);
+        const key = visible ? 'hideHotspots' : 'showHotspots';
+        this.hotspotsToggle.setAttribute('aria-pressed', String(visible));
+        this.hotspotsToggle.dataset.i18nAttr = `aria-label:${key};title:${key}`;
+        translateElement(this.hotspotsToggle, currentLang);
+    }
+
+    // Show one callout (closing any other); null closes them all
+    toggleCallout(index) {
+        this.hotspotsElement.querySelectorAll('.gallery-hotspot').forEach(marker => {
+            const open = Number(marker.dataset.index) === index && marker.getAttribute('aria-expanded') !== 'true';
+            marker.setAttribute('aria-expanded', String(open));
+            marker.parentElement.classList.toggle('open', open);
+            marker.nextElementSibling.hidden = !open;
+        });
+    }
+
+    // Announce the current image (and caption, when shown) to screen readers
+    announce() {
+        const position = formatTranslation('imagePosition', {
+            current: this.currentIndex + 1,
+            total: this.images.length
+        }) || `${this.currentIndex + 1} / ${this.images.length}`;
+        const parts = [this.titleElement.textContent, position];
+        if (this.infoExpanded && !this.infoElement.hidden) {
+            parts.push(this.infoElement.querySelector('.gallery-info-desc').textContent);
+        }
+        this.liveRegion.textContent = parts.filter(Boolean).join('. ');
+    }
+
+    renderTitle(current) {
+        if (!current.work) {
+            this.titleElement.textContent = current.title;
+            return;
+        }
+        // Catalog images are bound to their keys so they follow language changes
+        this.titleElement.innerHTML = current.label
+            ? `<span data-i18n="${current.work.title}"></span> - <span data-i18n="${current.label}"></span>`
+            : `<span data-i18n="${current.work.title}"></span>`;
+        applyTranslations(this.titleElement, currentLang);
+    }
+
+    // Described images use their alt text; the rest fall back to the title
+    getImageAlt(current) {
+        return (current.alt && translate(current.alt)) || this.titleElement.textContent;
+    }
+
     async updateImage(direction = null) {
         const current = this.images[this.currentIndex];
         if (!current) return;
 
+        // A caption being read aloud belongs to the previous image
+        stopReadAloud(this.element);
+        // Every image starts fitted to the screen
+        this.zoom.reset();
+        this.renderInfo(current);
+        this.updateFavoriteButton(current);
+        // Works with several images (sketch and model) can be revealed one over the other
+        this.revealButton.hidden = !(this.section && current.work && current.work.images.length > 1);
+        this.renderHotspots(current);
+        this.updateFilmstrip();
+        this.preloadAdjacent();
+
         // Update title with fade
         this.titleElement.style.opacity = '0';
         setTimeout(() => {
-            this.titleElement.textContent = current.title;
+            this.renderTitle(current);
             this.titleElement.style.opacity = '1';
+            this.imageElement.alt = this.getImageAlt(current);
+            this.announce();
         }, 150);
         
         try {
             // Optimize animations with will-change
             this.imageElement.style.willChange = 'transform, opacity';
             
-            // Set initial position
-            const initialTransform = direction ? 
+            // Set initial position; with reduced motion images switch in place
+            // and without a transition
+            const reduceMotion = prefersReducedMotion();
+            const initialTransform = direction && !reduceMotion ?
                 `translateX(${direction === 'prev' ? '-50px' : '50px'}) scale(0.95)` :
                 'translateX(0) scale(1)';
                 
@@ -442,7 +1342,7 @@ class ImageGalleryViewer {
             // Apply GPU-accelerated transition
             requestAnimationFrame(() => {
                 Object.assign(this.imageElement.style, {
-                    transition: 'transform 0.6s cubic-bezier(0.16, 1, 0.3, 1), opacity 0.6s cubic-bezier(0.16, 1, 0.3, 1)',
+                    transition: reduceMotion ? 'none' : 'transform 0.6s cubic-bezier(0.16, 1, 0.3, 1), opacity 0.6s cubic-bezier(0.16, 1, 0.3, 1)',
                     transform: 'translateX(0) scale(1)',
                     opacity: '1'
                 });
@@ -468,31 +1368,140 @@ class ImageGalleryViewer {
         } catch (error) {
             console.error('Failed to load image:', error);
             // Show error state to user
-            this.titleElement.textContent = 'Error loading image';
+            this.titleElement.textContent = translate('imageLoadError') || 'Error loading image';
             this.titleElement.style.color = 'var(--error-color, #ff5555)';
         }
     }
 
-    async next() {
-        if (!this.isOpen) return;
-        this.currentIndex = (this.currentIndex + 1) % this.images.length;
-        await this.updateImage('next');
+    async goTo(index, direction = null, { fromHistory = false, fromSlideshow = false } = {}) {
+        if (!this.isOpen || !this.images.length) return;
+        // Any navigation other than the slideshow's own pauses it
+        if (!fromSlideshow) this.pauseSlideshow();
+        this.slideshow.elapsed = 0;
+        this.renderProgress();
+        this.currentIndex = (index + this.images.length) % this.images.length;
+        if (!fromHistory) this.pushHistory({ replace: fromSlideshow });
+        await this.updateImage(direction);
+    }
+
+    async next() {
+        await this.goTo(this.currentIndex + 1, 'next');
     }
 
     async prev() {
-        if (!this.isOpen) return;
-        this.currentIndex = (this.currentIndex - 1 + this.images.length) % this.images.length;
-        await this.updateImage('prev');
+        await this.goTo(this.currentIndex - 1, 'prev');
     }
 
-    close() {
+    toggleSlideshow() {
+        if (this.slideshow.playing) this.pauseSlideshow();
+        else this.playSlideshow();
+    }
+
+    playSlideshow() {
+        if (!this.isOpen || this.slideshow.playing || this.images.length < 2) return;
+        this.slideshow.playing = true;
+        this.slideshow.lastTick = performance.now();
+        this.updatePlayButton();
+        this.slideshow.frame = requestAnimationFrame(now => this.tickSlideshow(now));
+    }
+
+    pauseSlideshow() {
+        if (!this.slideshow.playing) return;
+        this.slideshow.playing = false;
+        cancelAnimationFrame(this.slideshow.frame);
+        this.slideshow.frame = null;
+        this.updatePlayButton();
+    }
+
+    tickSlideshow(now) {
+        if (!this.slideshow.playing) return;
+        this.slideshow.elapsed += now - this.slideshow.lastTick;
+        this.slideshow.lastTick = now;
+
+        if (this.slideshow.elapsed >= this.slideshow.interval) {
+            this.goTo(this.currentIndex + 1, 'next', { fromSlideshow: true });
+        }
+        this.renderProgress();
+        this.slideshow.frame = requestAnimationFrame(next => this.tickSlideshow(next));
+    }
+
+    renderProgress() {
+        const progress = Math.min(1, this.slideshow.elapsed / this.slideshow.interval);
+        this.progressBar.style.transform = `scaleX(${progress})`;
+    }
+
+    updatePlayButton() {
+        const playing = this.slideshow.playing;
+        this.playButton.textContent = playing ? '❚❚' : '▶';
+        this.playButton.setAttribute('aria-pressed', String(playing));
+        const key = playing ? 'pauseSlideshow' : 'playSlideshow';
+        this.playButton.dataset.i18nAttr = `aria-label:${key};title:${key}`;
+        translateElement(this.playButton, currentLang);
+        this.element.classList.toggle('playing', playing);
+    }
+
+    isFullscreen() {
+        const current = document.fullscreenElement || document.webkitFullscreenElement;
+        return current === this.element;
+    }
+
+    toggleFullscreen() {
+        try {
+            if (this.isFullscreen()) {
+                (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+            } else {
+                const request = this.element.requestFullscreen || this.element.webkitRequestFullscreen;
+                if (request) request.call(this.element);
+            }
+        } catch (error) {
+            console.error('Fullscreen request failed:', error);
+        }
+    }
+
+    // Only catalog works can be collected
+    updateFavoriteButton(current) {
+        this.favoriteButton.hidden = !current.work;
+        if (!current.work) return;
+        setFavoriteToggleState(this.favoriteButton, isFavorite(current.work.id));
+    }
+
+    updateFullscreenButton() {
+        const active = this.isFullscreen();
+        this.fullscreenButton.setAttribute('aria-pressed', String(active));
+        const key = active ? 'exitFullscreen' : 'enterFullscreen';
+        this.fullscreenButton.dataset.i18nAttr = `aria-label:${key};title:${key}`;
+        translateElement(this.fullscreenButton, currentLang);
+    }
+
+    close({ fromHistory = false } = {}) {
         if (!this.isOpen) return;
         this.isOpen = false;
         this.element.classList.remove('active');
+        deactivateOverlay(this.element);
+        this.liveRegion.textContent = '';
+        this.zoom.reset();
+        this.pauseSlideshow();
+        this.slideshow.elapsed = 0;
+        this.slideshow.resumeOnVisible = false;
+        this.renderProgress();
+        if (this.isFullscreen()) this.toggleFullscreen();
+
+        // Unwind the entries pushed while open so Back doesn't reopen the viewer
+        if (!fromHistory) {
+            try {
+                if (this.historyDepth > 0) {
+                    history.go(-this.historyDepth);
+                } else if (parseGalleryHash(window.location.hash)) {
+                    history.replaceState(null, '', window.location.pathname + window.location.search);
+                }
+            } catch (e) {}
+        }
+        this.historyDepth = 0;
         
         // Restore scrolling and position smoothly
         requestAnimationFrame(() => {
-            document.body.style.overflow = '';
+            // Another overlay (e.g. compare mode) may have taken over meanwhile
+            document.body.style.overflow = overlayStack.length ? 'hidden' : '';
             document.body.style.position = '';
             document.body.style.width = '';
             document.body.style.top = '';
@@ -519,27 +1528,100 @@ function getImagesFromContainer(container) {
 // Create and initialize gallery viewer
 const galleryViewer = new ImageGalleryViewer();
 
-// Initialize cards with background images
-function initializeCards() {
-    // Set up art card backgrounds
-    document.querySelectorAll('#art .content-card').forEach(card => {
-        const imageKey = card.dataset.image;
-        if (imageKey) {
-            card.style.backgroundImage = `url('./images/cards/art/${imageKey}.jpg')`;
-        }
-    });
+// -------------------------
+// Catalog rendering
+// -------------------------
+function getCatalogEntries(section) {
+    return CATALOG.filter(entry => entry.section === section);
+}
 
-    // Set up invention card backgrounds
-    document.querySelectorAll('#inventions .content-card').forEach(card => {
-        const images = card.dataset.images ? JSON.parse(card.dataset.images) : [card.dataset.image];
-        if (images && images.length > 0) {
-            card.style.backgroundImage = `url('./images/cards/inventions/${images[0]}')`;
-        }
+function getCatalogEntry(id) {
+    return CATALOG.find(entry => entry.id === id) || null;
+}
+
+function getCatalogImageSrc(entry, image) {
+    return `./images/cards/${entry.section}/${image.file}`;
+}
+
+// Flat image list for a section, as used by the gallery viewer
+function getCatalogImages(section) {
+    return getCatalogEntries(section).flatMap(entry => {
+        const title = translate(entry.title) || '';
+        const desc = translate(entry.desc) || '';
+        return entry.images.map(image => ({
+            src: getCatalogImageSrc(entry, image),
+            title: image.label ? `${title} - ${translate(image.label) || ''}` : title,
+            desc: desc,
+            work: entry,
+            label: image.label || null,
+            alt: image.alt || null,
+            hotspots: image.hotspots || []
+        }));
     });
 }
 
-// Initialize cards when DOM is ready
-document.addEventListener('DOMContentLoaded', initializeCards);
+// The artwork is a background image, so the card carries its description
+// in a labelled role="img" element; the title button makes it operable.
+function createCatalogCard(entry) {
+    const card = document.createElement('div');
+    const id = `card-${entry.id}`;
+    const alt = entry.images[0].alt;
+    card.className = 'content-card';
+    card.dataset.work = entry.id;
+    card.innerHTML = `
+        <div class="card-preview" id="${id}-image"${alt ? ` role="img" data-i18n-attr="aria-label:${alt}"` : ''}></div>
+        <h3 class="card-title">
+            <button type="button" class="card-open" data-i18n="${entry.title}" aria-describedby="${alt ? `${id}-image ` : ''}${id}-text"></button>
+        </h3>
+        <p class="card-text" id="${id}-text" data-i18n="${entry.desc}"></p>
+        <button type="button" class="favorite-toggle" data-work="${entry.id}" aria-pressed="false"
+            aria-label="Add to my collection" data-i18n-attr="aria-label:addToCollection;title:addToCollection">☆</button>
+        ${entry.images.length > 1 ? `<button type="button" class="reveal-toggle" data-work="${entry.id}"
+            aria-label="Reveal one image over the other" data-i18n-attr="aria-label:revealOpen;title:revealOpen">◐</button>` : ''}
+    `;
+
+    const cover = `url('${getCatalogImageSrc(entry, entry.images[0])}')`;
+    card.style.backgroundImage = cover;
+    card.querySelector('.card-preview').style.backgroundImage = cover;
+
+    return card;
+}
+
+function formatWorkDate(work) {
+    return work.circa ? `${translate('circa') || 'c.'} ${work.date}` : work.date;
+}
+
+// Height × width with locale-aware number formatting
+function formatDimensions({ height, width, unit }) {
+    const number = new Intl.NumberFormat(currentLang);
+    return `${number.format(height)} × ${number.format(width)} ${unit}`;
+}
+
+// Localized label/value pairs describing a work; missing fields are skipped
+function getWorkFacts(work) {
+    return [
+        work.date && { label: 'factDate', value: formatWorkDate(work) },
+        work.medium && { label: 'factMedium', value: translate(work.medium) || '' },
+        work.dimensions && { label: 'factDimensions', value: formatDimensions(work.dimensions) },
+        work.location && { label: 'factLocation', value: translate(work.location) || '' },
+        work.links && work.links.length && { label: 'factReference', value: translate('viewReference') || work.links[0], href: work.links[0] }
+    ].filter(Boolean);
+}
+
+// Show a work's whole section in the gallery, starting at its first image
+function openWorkInGallery(entry) {
+    const startIndex = Math.max(0, getCatalogImages(entry.section)
+        .findIndex(image => image.work.id === entry.id));
+    galleryViewer.show(null, startIndex, entry.section);
+}
+
+// Fill every [data-catalog-section] grid with its catalog cards
+function renderCatalogCards() {
+    document.querySelectorAll('[data-catalog-section]').forEach(grid => {
+        const cards = getCatalogEntries(grid.dataset.catalogSection).map(createCatalogCard);
+        grid.replaceChildren(...cards);
+    });
+}
 
 // Initialize click handlers for gallery
 document.addEventListener('DOMContentLoaded', () => {
@@ -547,7 +1629,6 @@ document.addEventListener('DOMContentLoaded', () => {
     const heroContainer = document.querySelector('.hero-image-container');
     if (heroContainer) {
         heroContainer.style.cursor = 'pointer';
-        const heroImages = getImagesFromContainer(heroContainer);
         
         heroContainer.addEventListener('click', () => {
             // Find the current active image index
@@ -555,89 +1636,51 @@ document.addEventListener('DOMContentLoaded', () => {
             const currentIndex = Array.from(heroContainer.children).indexOf(activeImg);
             
             // Show gallery with current image
-            galleryViewer.show(heroImages, currentIndex);
+            galleryViewer.show(null, currentIndex, 'hero');
         });
     }
 
-    // Initialize card previews and click handlers
+    // Initialize card click handlers
     const contentCards = document.querySelectorAll('#art .content-card, #inventions .content-card');
     
     contentCards.forEach(card => {
-        const section = card.closest('section').id;
-        const preview = card.querySelector('.card-preview');
-        const title = card.querySelector('.card-title')?.textContent || '';
-        const desc = card.querySelector('.card-text')?.textContent || '';
-        const cardTitle = title.trim();
-        
-        // Set up preview background
-        if (preview) {
-            if (section === 'art') {
-                const imageName = card.getAttribute('data-image');
-                preview.style.backgroundImage = `url('./images/cards/art/${imageName}.jpg')`;
-            } else {
-                const images = JSON.parse(card.getAttribute('data-images') || `["${card.getAttribute('data-image')}.jpg"]`);
-                preview.style.backgroundImage = `url('./images/cards/inventions/${images[0]}')`;
-            }
-        }
-        
         // Add click handler to the card
         card.style.cursor = 'pointer';
         card.addEventListener('click', (e) => {
-            // Don't trigger if clicking on reference icons
-            if (e.target.closest('.ref-icon-container')) return;
-            
-            // Calculate start index based on cards before this one
-            const startIndex = Array.from(document.querySelectorAll(`#${section} .content-card`))
-                .slice(0, Array.from(card.parentNode.children).indexOf(card))
-                .reduce((count, prevCard) => {
-                    const title = prevCard.querySelector('.card-title')?.textContent.trim() || '';
-                    return count + (section === 'inventions' && multiImageMap[title] ? multiImageMap[title].length : 1);
-                }, 0);
+            // Don't trigger if clicking on reference icons or the card's buttons
+            if (e.target.closest('.ref-icon-container, .favorite-toggle, .reveal-toggle')) return;
             
-            // Show gallery for the entire section, starting from this card's position
-            galleryViewer.show(null, startIndex, section);
+            openWorkInGallery(getCatalogEntry(card.dataset.work));
         });
     });
+
+    // Open the viewer directly when the page is loaded from a gallery link
+    galleryViewer.openFromLocation();
 });
 
 // -------------------------
 // Reference Links
 // -------------------------
-const artWikiLinks = {
-    'Mona Lisa': 'https://en.wikipedia.org/wiki/Mona_Lisa',
-    'The Last Supper': 'https://en.wikipedia.org/wiki/The_Last_Supper_(Leonardo)',
-    'Vitruvian Man': 'https://en.wikipedia.org/wiki/Vitruvian_Man',
-    'Lady with an Ermine': 'https://en.wikipedia.org/wiki/Lady_with_an_Ermine'
-};
-
-    const inventionWikiLinks = {
-        'Aerial Screw': 'https://en.wikipedia.org/wiki/Leonardo%27s_aerial_screw',
-        'Armored Tank': 'https://en.wikipedia.org/wiki/Leonardo%27s_tank',
-        'Parachute Design': 'https://en.wikipedia.org/wiki/Leonardo%27s_parachute',
-        'Robotic Knight': 'https://en.wikipedia.org/wiki/Leonardo%27s_robot',
-        'Hydraulic Systems': 'https://en.wikipedia.org/wiki/Science_and_inventions_of_Leonardo_da_Vinci#Engineering_and_hydraulics',
-        'Multi-Level Bridge': 'https://en.wikipedia.org/wiki/Science_and_inventions_of_Leonardo_da_Vinci#Civil_engineering'
-    };
-
-    const multiImageMap = {
-        'Aerial Screw': ['air_screw_prototype.jpg', 'air_screw_sketch.jpg'],
-        'Armored Tank': ['amored_tank_design.JPG', 'amored_tank_blueprint.jpg'],
-        'Hydraulic Systems': ['hydraulic_systems_diagram.jpg', 'hydraulic_systems_schematic.png'],
-        'Multi-Level Bridge': ['multi-level_bridge_design.jpg', 'multi-level_bridge_concept.jpg']
-    };function addReferenceIcon(card, link) {
-    const iconContainer = document.createElement('div');
+function addReferenceIcon(card, link, titleKey) {
+    const iconContainer = document.createElement('a');
     iconContainer.className = 'ref-icon-container';
+    iconContainer.href = link;
+    iconContainer.target = '_blank';
+    iconContainer.rel = 'noopener noreferrer';
+    iconContainer.title = 'Open reference';
+    iconContainer.dataset.i18nAttr = 'title:referenceLink';
+    iconContainer.dataset.workTitle = titleKey;
     
     // Arrow SVG - Increased size for better touch target
     const arrowSvg = `
-        <svg class="ref-icon arrow" viewBox="0 0 24 24" width="32" height="32">
+        <svg class="ref-icon arrow" viewBox="0 0 24 24" width="32" height="32" aria-hidden="true" focusable="false">
             <path d="M7 7h8.586L5.293 17.293l1.414 1.414L17 8.414V17h2V5H7v2z" fill="currentColor"/>
         </svg>
     `;
     
     // World SVG - Increased size for better touch target
     const worldSvg = `
-        <svg class="ref-icon world" viewBox="0 0 24 24" width="32" height="32">
+        <svg class="ref-icon world" viewBox="0 0 24 24" width="32" height="32" aria-hidden="true" focusable="false">
             <g fill="none" stroke="currentColor" stroke-width="1.5">
                 <circle cx="12" cy="12" r="9" />
                 <path d="M12 3a9 9 0 0 1 9 9M3 12a9 9 0 0 1 9-9" />
@@ -651,11 +1694,13 @@ const artWikiLinks = {
     `;
     
     iconContainer.innerHTML = arrowSvg + worldSvg;
+    updateReferenceLabel(iconContainer);
     card.appendChild(iconContainer);
     
     // Add invisible touch target extender
-    const touchTarget = document.createElement('div');
+    const touchTarget = document.createElement('span');
     touchTarget.className = 'ref-touch-target';
+    touchTarget.setAttribute('aria-hidden', 'true');
     touchTarget.style.cssText = `
         position: absolute;
         top: -10px;
@@ -666,276 +1711,89 @@ const artWikiLinks = {
     `;
     iconContainer.appendChild(touchTarget);
     
-    // Improved touch/click handling
-    const handleInteraction = (e) => {
-        e.stopPropagation(); // Prevent triggering the card's click event
-        e.preventDefault();
-        
-        // Add feedback for touch devices
-        iconContainer.style.transform = 'scale(0.95)';
-        setTimeout(() => {
-            iconContainer.style.transform = '';
-            window.open(link, '_blank', 'noopener');
-        }, 150);
-    };
-    
-    // Handle both touch and click events
-    touchTarget.addEventListener('touchend', handleInteraction, { passive: false });
-    touchTarget.addEventListener('click', handleInteraction);
+    // The link opens on its own; keep the card from opening the gallery too
+    iconContainer.addEventListener('click', e => e.stopPropagation());
     
     // Prevent card click when touching icon area
     iconContainer.addEventListener('touchstart', e => e.stopPropagation(), { passive: true });
     iconContainer.addEventListener('touchend', e => e.stopPropagation(), { passive: true });
 }
 
-// Add reference links to art and inventions cards
+// Name the link after its work and say that it opens a new tab
+function updateReferenceLabel(iconContainer) {
+    const title = translate(iconContainer.dataset.workTitle) || '';
+    const label = formatTranslation('referenceLinkLabel', { title });
+    if (label) iconContainer.setAttribute('aria-label', label);
+}
+
+// Add reference links to catalog cards
 document.addEventListener('DOMContentLoaded', () => {
-    // Add reference links to art cards
-    document.querySelectorAll('#art .content-card').forEach(card => {
-        const title = card.querySelector('.card-title').textContent.trim();
-        if (artWikiLinks[title]) {
-            addReferenceIcon(card, artWikiLinks[title]);
+    document.querySelectorAll('.content-card[data-work]').forEach(card => {
+        const entry = getCatalogEntry(card.dataset.work);
+        if (entry && entry.links && entry.links.length) {
+            addReferenceIcon(card, entry.links[0], entry.title);
         }
     });
+});
 
-    // Add reference links to invention cards
-    document.querySelectorAll('#inventions .content-card').forEach(card => {
-        const title = card.querySelector('.card-title').textContent.trim();
-        if (inventionWikiLinks[title]) {
-            addReferenceIcon(card, inventionWikiLinks[title]);
-        }
-    });
+document.addEventListener('contentlanguagechange', () => {
+    document.querySelectorAll('.ref-icon-container[data-work-title]').forEach(updateReferenceLabel);
 });
 
 // -------------------------
-// Translations
+// Locale bundles (loaded on demand from ./locales/<code>.json)
 // -------------------------
-const translations = {
-    en: {
-        settings: "Settings",
-        theme: "Theme",
-        language: "Language",
-        light: "Light",
-        dark: "Dark",
-        biography: "Biography",
-        inventions: "Inventions",
-        art: "Art",
-        legacy: "Legacy",
-        heroTitle: "Leonardo<br>da Vinci",
-        heroDates: "1452 — 1519",
-        heroDesc: "Renaissance polymath who embodied the fusion of art, science, and innovation. A visionary whose notebooks contained designs for flying machines, anatomical studies, and masterpieces that continue to inspire humanity five centuries later.",
-        biographyTitle: "Biography",
-        birth1452: "Birth in Vinci",
-        birthDesc: "Born on April 15 in the hilltop town of Vinci, Republic of Florence. The illegitimate son of a successful notary and a local woman, marking the beginning of an extraordinary life.",
-        apprentice1466: "Apprenticeship Begins",
-        apprenticeDesc: "At age 14, became apprentice to the renowned artist Andrea del Verrocchio in Florence, learning painting, sculpture, metalwork, and mechanical arts in one of the city's most prestigious workshops.",
-        milan1482: "Milan Court",
-        milanDesc: "Moved to Milan under the patronage of Ludovico Sforza, where he served as court artist, engineer, and inventor, creating military designs, architectural plans, and court entertainments.",
-        mona1503: "The Mona Lisa",
-        monaDesc: "Began work on his most famous portrait, revolutionizing the art of painting with innovative techniques and psychological depth that continue to captivate viewers worldwide.",
-        death1519: "Final Chapter",
-        deathDesc: "Died on May 2 at Château du Clos Lucé in Amboise, France, under the patronage of King Francis I, leaving behind thousands of pages of notes and drawings that revealed his genius to the world.",
-        inventionsTitle: "Inventions",
-        aerialScrew: "Aerial Screw",
-        aerialDesc: "Designed a helicopter-like flying machine with a helical rotor, demonstrating his understanding of aerodynamics centuries before powered flight became reality.",
-        armoredTank: "Armored Tank",
-        tankDesc: "Conceptualized a mobile fortress powered by cranks, featuring armor plating and gun ports—essentially the first tank design in history.",
-        parachute: "Parachute Design",
-        parachuteDesc: "Created a pyramid-shaped parachute made of linen, which modern testing has proven to be remarkably effective and safe for descent.",
-        robotKnight: "Robotic Knight",
-        robotDesc: "Built a mechanical automaton that could sit, stand, and move its arms independently, representing pioneering work in robotics and automation.",
-        hydraulic: "Hydraulic Systems",
-        hydraulicDesc: "Designed complex water management systems including canals, locks, and irrigation networks that influenced civil engineering for generations.",
-        bridge: "Multi-Level Bridge",
-        bridgeDesc: "Proposed innovative bridge designs with multiple levels for different types of traffic, anticipating modern urban planning concepts.",
-        artTitle: "Masterworks",
-        monaLisa: "Mona Lisa",
-        monaArtDesc: "The world's most famous portrait, showcasing sfumato technique and enigmatic expression. Housed in the Louvre, it represents the pinnacle of Renaissance portraiture.",
-        lastSupper: "The Last Supper",
-        supperDesc: "Revolutionary fresco depicting Christ's final meal with mathematical precision in perspective and profound emotional narrative, despite its deteriorating condition.",
-        vitruvian: "Vitruvian Man",
-        vitruvianDesc: "Iconic drawing demonstrating ideal human proportions, perfectly embodying Renaissance fusion of art, mathematics, and scientific observation.",
-        ladyErmine: "Lady with an Ermine",
-        ermineDesc: "Portrait of Cecilia Gallerani showcasing innovative three-quarter pose and masterful rendering of light, texture, and psychological presence.",
-        legacyTitle: "Legacy",
-        scientific: "Scientific Method",
-        scientificDesc: "His approach of observation, hypothesis, and experimentation laid crucial groundwork for modern scientific methodology and empirical research practices.",
-        interdisciplinary: "Interdisciplinary Innovation",
-        interDesc: "Demonstrated how art and science could complement each other, inspiring today's approach to creative problem-solving across multiple fields.",
-        anatomical: "Anatomical Revolution",
-        anatomicalDesc: "His detailed dissections and drawings advanced medical understanding, establishing artistic documentation as a tool for scientific discovery.",
-        modern: "Modern Inspiration",
-        modernDesc: "Continues to inspire contemporary artists, engineers, and inventors worldwide, representing the ideal of lifelong learning and boundless curiosity."
-    },
-    es: {
-        settings: "Configuración",
-        theme: "Tema",
-        language: "Idioma",
-        light: "Claro",
-        dark: "Oscuro",
-        biography: "Biografía",
-        inventions: "Inventos",
-        art: "Arte",
-        legacy: "Legado",
-        heroTitle: "Leonardo<br>da Vinci",
-        heroDates: "1452 — 1519",
-        heroDesc: "Polímata renacentista que encarnó la fusión del arte, la ciencia y la innovación. Un visionario cuyos cuadernos contenían diseños de máquinas voladoras, estudios anatómicos y obras maestras que continúan inspirando a la humanidad cinco siglos después.",
-        biographyTitle: "Biografía",
-        birth1452: "Nacimiento en Vinci",
-        birthDesc: "Nació el 15 de abril en la ciudad montañosa de Vinci, República de Florencia. Hijo ilegítimo de un notario exitoso y una mujer local, marcando el comienzo de una vida extraordinaria.",
-        apprentice1466: "Comienza el Aprendizaje",
-        apprenticeDesc: "A los 14 años, se convirtió en aprendiz del renombrado artista Andrea del Verrocchio en Florencia, aprendiendo pintura, escultura, metalurgia y artes mecánicas en uno de los talleres más prestigiosos de la ciudad.",
-        milan1482: "Corte de Milán",
-        milanDesc: "Se trasladó a Milán bajo el patrocinio de Ludovico Sforza, donde sirvió como artista de la corte, ingeniero e inventor, creando diseños militares, planos arquitectónicos y entretenimientos cortesanos.",
-        mona1503: "La Mona Lisa",
-        monaDesc: "Comenzó a trabajar en su retrato más famoso, revolucionando el arte de la pintura con técnicas innovadoras y profundidad psicológica que continúan cautivando a espectadores de todo el mundo.",
-        death1519: "Capítulo Final",
-        deathDesc: "Murió el 2 de mayo en el Château du Clos Lucé en Amboise, Francia, bajo el patrocinio del Rey Francisco I, dejando atrás miles de páginas de notas y dibujos que revelaron su genio al mundo.",
-        inventionsTitle: "Inventos",
-        aerialScrew: "Tornillo Aéreo",
-        aerialDesc: "Diseñó una máquina voladora similar a un helicóptero con un rotor helicoidal, demostrando su comprensión de la aerodinámica siglos antes de que el vuelo motorizado se hiciera realidad.",
-        armoredTank: "Tanque Blindado",
-        tankDesc: "Conceptualizó una fortaleza móvil propulsada por manivelas, con blindaje y puertos de disparo: esencialmente el primer diseño de tanque en la historia.",
-        parachute: "Diseño de Paracaídas",
-        parachuteDesc: "Creó un paracaídas en forma de pirámide hecho de lino, que las pruebas modernas han demostrado que es notablemente efectivo y seguro para el descenso.",
-        robotKnight: "Caballero Robótico",
-        robotDesc: "Construyó un autómata mecánico que podía sentarse, pararse y mover sus brazos independientemente, representando un trabajo pionero en robótica y automatización.",
-        hydraulic: "Sistemas Hidráulicos",
-        hydraulicDesc: "Diseñó sistemas complejos de gestión del agua incluyendo canales, esclusas y redes de irrigación que influyeron en la ingeniería civil durante generaciones.",
-        bridge: "Puente Multinivel",
-        bridgeDesc: "Propuso diseños innovadores de puentes con múltiples niveles para diferentes tipos de tráfico, anticipando conceptos modernos de planificación urbana.",
-        artTitle: "Obras Maestras",
-        monaLisa: "La Mona Lisa",
-        monaArtDesc: "El retrato más famoso del mundo, mostrando la técnica del sfumato y una expresión enigmática. Alojada en el Louvre, representa la cúspide del retrato renacentista.",
-        lastSupper: "La Última Cena",
-        supperDesc: "Fresco revolucionario que representa la última comida de Cristo con precisión matemática en perspectiva y narrativa emocional profunda, a pesar de su condición deteriorada.",
-        vitruvian: "Hombre de Vitruvio",
-        vitruvianDesc: "Dibujo icónico que demuestra las proporciones humanas ideales, encarnando perfectamente la fusión renacentista del arte, las matemáticas y la observación científica.",
-        ladyErmine: "Dama con Armiño",
-        ermineDesc: "Retrato de Cecilia Gallerani mostrando una pose innovadora de tres cuartos y una representación magistral de la luz, textura y presencia psicológica.",
-        legacyTitle: "Legado",
-        scientific: "Método Científico",
-        scientificDesc: "Su enfoque de observación, hipótesis y experimentación sentó las bases cruciales para la metodología científica moderna y las prácticas de investigación empírica.",
-        interdisciplinary: "Innovación Interdisciplinaria",
-        interDesc: "Demostró cómo el arte y la ciencia podrían complementarse mutuamente, inspirando el enfoque actual para la resolución creativa de problemas en múltiples campos.",
-        anatomical: "Revolución Anatómica", 
-        anatomicalDesc: "Sus disecciones detalladas y dibujos avanzaron la comprensión médica, estableciendo la documentación artística como una herramienta para el descubrimiento científico.",
-        modern: "Inspiración Moderna",
-        modernDesc: "Continúa inspirando a artistas, ingenieros e inventores contemporáneos en todo el mundo, representando el ideal del aprendizaje permanente y la curiosidad ilimitada."
-    },
-    fr: {
-        settings: "Paramètres",
-        theme: "Thème",
-        language: "Langue",
-        light: "Clair",
-        dark: "Sombre",
-        biography: "Biographie",
-        inventions: "Inventions",
-        art: "Art",
-        legacy: "Héritage",
-        heroTitle: "Léonard<br>de Vinci",
-        heroDates: "1452 — 1519",
-        heroDesc: "Polymathe de la Renaissance qui incarnait la fusion de l'art, de la science et de l'innovation. Un visionnaire dont les carnets contenaient des dessins de machines volantes, des études anatomiques et des chefs-d'œuvre qui continuent d'inspirer l'humanité cinq siècles plus tard.",
-        biographyTitle: "Biographie",
-        birth1452: "Naissance à Vinci",
-        birthDesc: "Né le 15 avril dans la ville perchée de Vinci, République de Florence. Fils illégitime d'un notaire prospère et d'une femme locale, marquant le début d'une vie extraordinaire.",
-        apprentice1466: "Début de l'Apprentissage",
-        apprenticeDesc: "À 14 ans, devient apprenti du célèbre artiste Andrea del Verrocchio à Florence, apprenant la peinture, la sculpture, la métallurgie et les arts mécaniques dans l'un des ateliers les plus prestigieux de la ville.",
-        milan1482: "Cour de Milan",
-        milanDesc: "S'installe à Milan sous le patronage de Ludovico Sforza, où il sert comme artiste de cour, ingénieur et inventeur, créant des dessins militaires, des plans architecturaux et des divertissements de cour.",
-        mona1503: "La Joconde",
-        monaDesc: "Commence le travail sur son portrait le plus célèbre, révolutionnant l'art de la peinture avec des techniques innovantes et une profondeur psychologique qui continue de captiver les spectateurs du monde entier.",
-        death1519: "Chapitre Final",
-        deathDesc: "Mort le 2 mai au Château du Clos Lucé à Amboise, France, sous le patronage du Roi François Ier, laissant derrière lui des milliers de pages de notes et de dessins qui ont révélé son génie au monde.",
-        inventionsTitle: "Inventions",
-        aerialScrew: "Vis Aérienne",
-        aerialDesc: "A conçu une machine volante semblable à un hélicoptère avec un rotor hélicoïdal, démontrant sa compréhension de l'aérodynamique des siècles avant que le vol motorisé ne devienne réalité.",
-        armoredTank: "Char Blindé",
-        tankDesc: "A conceptualisé une forteresse mobile propulsée par des manivelles, avec un blindage et des ports de tir—essentiellement le premier design de char de l'histoire.",
-        parachute: "Design de Parachute",
-        parachuteDesc: "A créé un parachute en forme de pyramide en lin, que les tests modernes ont prouvé être remarquablement efficace et sûr pour la descente.",
-        robotKnight: "Chevalier Robotique",
-        robotDesc: "A construit un automate mécanique qui pouvait s'asseoir, se lever et bouger ses bras indépendamment, représentant un travail pionnier en robotique et automatisation.",
-        hydraulic: "Systèmes Hydrauliques",
-        hydraulicDesc: "A conçu des systèmes complexes de gestion de l'eau incluant canaux, écluses et réseaux d'irrigation qui ont influencé l'ingénierie civile pendant des générations.",
-        bridge: "Pont Multi-Niveaux",
-        bridgeDesc: "A proposé des conceptions innovantes de ponts avec plusieurs niveaux pour différents types de trafic, anticipant les concepts modernes d'urbanisme.",
-        artTitle: "Chefs-d'œuvre",
-        monaLisa: "La Joconde",
-        monaArtDesc: "Le portrait le plus célèbre du monde, montrant la technique du sfumato et une expression énigmatique. Abritée au Louvre, elle représente l'apogée du portrait de la Renaissance.",
-        lastSupper: "La Cène",
-        supperDesc: "Fresque révolutionnaire dépeignant le dernier repas du Christ avec une précision mathématique en perspective et un récit émotionnel profond, malgré son état de détérioration.",
-        vitruvian: "Homme de Vitruve",
-        vitruvianDesc: "Dessin iconique démontrant les proportions humaines idéales, incarnant parfaitement la fusion Renaissance de l'art, les mathématiques et l'observation scientifique.",
-        ladyErmine: "Dame à l'Hermine",
-        ermineDesc: "Portrait de Cecilia Gallerani montrant une pose innovante de trois quarts et un rendu magistral de la lumière, de la texture et de la présence psychologique.",
-        legacyTitle: "Héritage",
-        scientific: "Méthode Scientifique",
-        scientificDesc: "Son approche d'observation, d'hypothèse et d'expérimentation a posé les bases cruciales de la méthodologie scientifique moderne et des pratiques de recherche empirique.",
-        interdisciplinary: "Innovation Interdisciplinaire",
-        interDesc: "A démontré comment l'art et la science pouvaient se compléter mutuellement, inspirant l'approche actuelle de résolution créative de problèmes dans plusieurs domaines.",
-        anatomical: "Révolution Anatomique",
-        anatomicalDesc: "Ses dissections détaillées et ses dessins ont fait progresser la compréhension médicale, établissant la documentation artistique comme un outil pour la découverte scientifique.",
-        modern: "Inspiration Moderne",
-        modernDesc: "Continue d'inspirer les artistes, ingénieurs et inventeurs contemporains du monde entier, représentant l'idéal d'apprentissage permanent et de curiosité sans limites."
-    },
-    de: {
-        settings: "Einstellungen",
-        theme: "Design",
-        language: "Sprache",
-        light: "Hell",
-        dark: "Dunkel",
-        biography: "Biografie",
-        inventions: "Erfindungen",
-        art: "Kunst",
-        legacy: "Vermächtnis",
-        heroTitle: "Leonardo<br>da Vinci",
-        heroDates: "1452 — 1519",
-        heroDesc: "Renaissance-Universalgelehrter, der die Verschmelzung von Kunst, Wissenschaft und Innovation verkörperte. Ein Visionär, dessen Notizbücher Entwürfe für Flugmaschinen, anatomische Studien und Meisterwerke enthielten, die die Menschheit fünf Jahrhunderte später weiterhin inspirieren.",
-        biographyTitle: "Biografie",
-        birth1452: "Geburt in Vinci",
-        birthDesc: "Geboren am 15. April in der Bergstadt Vinci, Republik Florenz. Der uneheliche Sohn eines erfolgreichen Notars und einer einheimischen Frau, was den Beginn eines außergewöhnlichen Lebens markierte.",
-        apprentice1466: "Lehre Beginnt",
-        apprenticeDesc: "Mit 14 Jahren wurde er Lehrling des renommierten Künstlers Andrea del Verrocchio in Florenz und lernte Malerei, Bildhauerei, Metallbearbeitung und mechanische Künste in einer der prestigeträchtigsten Werkstätten der Stadt.",
-        milan1482: "Mailänder Hof",
-        milanDesc: "Zog nach Mailand unter der Schirmherrschaft von Ludovico Sforza, wo er als Hofkünstler, Ingenieur und Erfinder diente und militärische Entwürfe, architektonische Pläne und Hofunterhaltung schuf.",
-        mona1503: "Die Mona Lisa",
-        monaDesc: "Begann die Arbeit an seinem berühmtesten Porträt und revolutionierte die Malkunst mit innovativen Techniken und psychologischer Tiefe, die Betrachter weltweit weiterhin fesseln.",
-        death1519: "Letztes Kapitel",
-        deathDesc: "Starb am 2. Mai im Château du Clos Lucé in Amboise, Frankreich, unter der Schirmherrschaft von König Franz I. und hinterließ Tausende von Seiten mit Notizen und Zeichnungen, die sein Genie der Welt offenbarten.",
-        inventionsTitle: "Erfindungen",
-        aerialScrew: "Luftschraube",
-        aerialDesc: "Entwarf eine hubschrauberartige Flugmaschine mit einem schraubenförmigen Rotor und demonstrierte sein Verständnis der Aerodynamik Jahrhunderte bevor der motorisierte Flug Realität wurde.",
-        armoredTank: "Gepanzerter Panzer",
-        tankDesc: "Konzipierte eine mobile Festung, die von Kurbeln angetrieben wurde, mit Panzerung und Schießscharten—im Wesentlichen das erste Panzerdesign der Geschichte.",
-        parachute: "Fallschirm-Design",
-        parachuteDesc: "Schuf einen pyramidenförmigen Fallschirm aus Leinen, der durch moderne Tests als bemerkenswert effektiv und sicher für den Abstieg erwiesen wurde.",
-        robotKnight: "Roboter-Ritter",
-        robotDesc: "Baute einen mechanischen Automaten, der sich setzen, stehen und seine Arme unabhängig bewegen konnte und damit Pionierarbeit in Robotik und Automatisierung leistete.",
-        hydraulic: "Hydraulische Systeme",
-        hydraulicDesc: "Entwarf komplexe Wassermanagementsysteme einschließlich Kanäle, Schleusen und Bewässerungsnetze, die den Tiefbau über Generationen beeinflussten.",
-        bridge: "Mehrstöckige Brücke",
-        bridgeDesc: "Schlug innovative Brückenentwürfe mit mehreren Ebenen für verschiedene Verkehrsarten vor und nahm moderne Stadtplanungskonzepte vorweg.",
-        artTitle: "Meisterwerke",
-        monaLisa: "Mona Lisa",
-        monaArtDesc: "Das berühmteste Porträt der Welt, das die Sfumato-Technik und einen rätselhaften Ausdruck zeigt. Im Louvre untergebracht, repräsentiert es den Höhepunkt der Renaissance-Porträtmalerei.",
-        lastSupper: "Das Abendmahl",
-        supperDesc: "Revolutionäres Fresko, das Christi letzte Mahlzeit mit mathematischer Präzision in der Perspektive und tiefgreifender emotionaler Erzählung darstellt, trotz ihres verschlechterten Zustands.",
-        vitruvian: "Vitruvianischer Mensch",
-        vitruvianDesc: "Ikonische Zeichnung, die ideale menschliche Proportionen demonstriert und die Renaissance-Verschmelzung von Kunst, Mathematik und wissenschaftlicher Beobachtung perfekt verkörpert.",
-        ladyErmine: "Dame mit Hermelin",
-        ermineDesc: "Porträt von Cecilia Gallerani, das eine innovative Dreiviertel-Pose und meisterhafte Darstellung von Licht, Textur und psychologischer Präsenz zeigt.",
-        legacyTitle: "Vermächtnis",
-        scientific: "Wissenschaftliche Methode",
-        scientificDesc: "Sein Ansatz von Beobachtung, Hypothese und Experimentation legte entscheidende Grundlagen für moderne wissenschaftliche Methodologie und empirische Forschungspraktiken.",
-        interdisciplinary: "Interdisziplinäre Innovation",
-        interDesc: "Demonstrierte, wie sich Kunst und Wissenschaft gegenseitig ergänzen können, und inspirierte den heutigen Ansatz zur kreativen Problemlösung in mehreren Bereichen.",
-        anatomical: "Anatomische Revolution",
-        anatomicalDesc: "Seine detaillierten Sektionen und Zeichnungen förderten das medizinische Verständnis und etablierten künstlerische Dokumentation als Werkzeug für wissenschaftliche Entdeckungen.",
-        modern: "Moderne Inspiration",
-        modernDesc: "Inspiriert weiterhin zeitgenössische Künstler, Ingenieure und Erfinder weltweit und repräsentiert das Ideal des lebenslangen Lernens und der grenzenlosen Neugier."
+// Bump when a bundle changes so copies cached in storage are refetched
+const LOCALE_CACHE_VERSION = 19;
+
+// In-memory cache of loaded bundles, keyed by language code
+const translations = {};
+const pendingLocales = new Map();
+
+function readStoredLocale(lang) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(`locale:${lang}`));
+        return stored && stored.version === LOCALE_CACHE_VERSION ? stored.strings : null;
+    } catch (e) {
+        return null;
     }
-};
+}
+
+function storeLocale(lang, strings) {
+    try {
+        localStorage.setItem(`locale:${lang}`, JSON.stringify({ version: LOCALE_CACHE_VERSION, strings }));
+    } catch (e) {}
+}
+
+// Resolve a bundle from memory, then storage, then the network
+function loadLocale(lang) {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) {
+        return Promise.reject(new Error(`Unsupported language: ${lang}`));
+    }
+    if (translations[lang]) return Promise.resolve(translations[lang]);
+    if (pendingLocales.has(lang)) return pendingLocales.get(lang);
+
+    const stored = readStoredLocale(lang);
+    if (stored) {
+        translations[lang] = stored;
+        return Promise.resolve(stored);
+    }
+
+    const request = fetch(`./locales/${lang}.json`)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(strings => {
+            translations[lang] = strings;
+            storeLocale(lang, strings);
+            return strings;
+        })
+        .finally(() => pendingLocales.delete(lang));
+
+    pendingLocales.set(lang, request);
+    return request;
+}
 
 // -------------------------
 // Language management
@@ -943,7 +1801,51 @@ const translations = {
 function detectBrowserLanguage() {
     const browserLang = navigator.language || navigator.userLanguage || 'en';
     const langCode = browserLang.split('-')[0].toLowerCase();
-    return translations[langCode] ? langCode : 'en';
+    return SUPPORTED_LANGUAGES.includes(langCode) ? langCode : 'en';
+}
+
+// Language requested through the URL (?lang=de), if supported
+function getUrlLanguage() {
+    try {
+        const lang = (new URLSearchParams(window.location.search).get('lang') || '').toLowerCase();
+        return SUPPORTED_LANGUAGES.includes(lang) ? lang : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Page URL with the given language set as ?lang=
+function getLanguageUrl(lang) {
+    const url = new URL(window.location.href);
+    if (lang) url.searchParams.set('lang', lang);
+    else url.searchParams.delete('lang');
+    return url.href;
+}
+
+// Reflect the active language in the URL, <html lang> and hreflang alternates
+function updateDocumentLanguage(lang) {
+    document.documentElement.lang = lang;
+
+    try {
+        const url = getLanguageUrl(lang);
+        if (url !== window.location.href) {
+            history.replaceState(history.state, '', url);
+        }
+    } catch (e) {}
+
+    document.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+    const alternates = [
+        ...SUPPORTED_LANGUAGES.map(code => ({ hreflang: code, href: getLanguageUrl(code) })),
+        { hreflang: 'x-default', href: getLanguageUrl(null) }
+    ];
+    alternates.forEach(({ hreflang, href }) => {
+        const link = document.createElement('link');
+        link.rel = 'alternate';
+        link.hreflang = hreflang;
+        // hash is page state, not part of the alternate document
+        link.href = href.split('#')[0];
+        document.head.appendChild(link);
+    });
 }
 
 // initial detect
@@ -971,12 +1873,17 @@ function initImageCarousel() {
         });
     }
     
+    function carouselTransition() {
+        const duration = motionDuration(600);
+        return duration ? `all ${duration}ms cubic-bezier(0.16, 1, 0.3, 1)` : 'none';
+    }
+    
     function initCarousel() {
         images.forEach((img, index) => {
             img.style.zIndex = images.length - index;
             img.classList.toggle('active', index === 0);
             img.style.transform = 'translate(-50%, -50%) scale(1)';
-            img.style.transition = 'all 0.6s cubic-bezier(0.16, 1, 0.3, 1)';
+            img.style.transition = carouselTransition();
         });
     }
     
@@ -985,7 +1892,7 @@ function initImageCarousel() {
         isTransitioning = true;
         
         const currentImg = images[currentIndex];
-        currentImg.style.transition = 'all 0.6s cubic-bezier(0.16, 1, 0.3, 1)';
+        currentImg.style.transition = carouselTransition();
         currentImg.classList.remove('active');
         
         if (direction === 'next') {
@@ -1005,7 +1912,7 @@ function initImageCarousel() {
                 images.forEach((img, idx) => {
                     img.style.zIndex = images.length - ((idx - currentIndex + images.length) % images.length);
                 });
-            }, 600);
+            }, motionDuration(600));
         });
     }
     
@@ -1039,9 +1946,12 @@ function initImageCarousel() {
         restartInterval();
     }
     
+    // Autoplay only runs with full motion
     function restartInterval() {
         clearInterval(intervalId);
-        intervalId = setInterval(() => updateCarousel('next'), 7000);
+        if (getMotionLevel() === 'full') {
+            intervalId = setInterval(() => updateCarousel('next'), 7000);
+        }
     }
     
     preloadImages();
@@ -1058,20 +1968,32 @@ function initImageCarousel() {
     container.addEventListener('mouseleave', restartInterval);
     
     // Initial interval
-    let intervalId = setInterval(() => updateCarousel('next'), 7000);
+    let intervalId = null;
+    restartInterval();
+    document.addEventListener('motionchange', restartInterval);
 }
 
 // -------------------------
 // Utility: set theme UI state (active buttons + attribute)
 // -------------------------
+// The saved preference may be 'auto', which follows the system colour
+// scheme; data-theme always holds the palette actually shown.
+const THEMES = ['light', 'dark', 'sepia', 'contrast'];
+const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+let themePreference = 'auto';
+
+function resolveTheme(preference) {
+    if (THEMES.includes(preference)) return preference;
+    return colorSchemeQuery && colorSchemeQuery.matches ? 'dark' : 'light';
+}
+
 function applyThemeUI(theme) {
-    try {
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-    } catch (e) {}
+    themePreference = theme === 'auto' || THEMES.includes(theme) ? theme : 'auto';
+    document.documentElement.setAttribute('data-theme', resolveTheme(themePreference));
+    setPreference('theme', themePreference);
     // update theme-option active classes and aria
     document.querySelectorAll('.theme-option').forEach(btn => {
-        if (btn.dataset.theme === theme) {
+        if (btn.dataset.theme === themePreference) {
             btn.classList.add('active');
             btn.setAttribute('aria-checked', 'true');
         } else {
@@ -1082,130 +2004,200 @@ function applyThemeUI(theme) {
 }
 
 // -------------------------
-// Update content from translations
+// Reading comfort: text size, spacing, font and column width
 // -------------------------
-function updateContent(lang) {
-    const t = translations[lang];
-    if (!t) return;
-
-    // Navigation
-    document.querySelector('a[href="#biography"]').textContent = t.biography;
-    document.querySelector('a[href="#inventions"]').textContent = t.inventions;
-    document.querySelector('a[href="#art"]').textContent = t.art;
-    document.querySelector('a[href="#legacy"]').textContent = t.legacy;
-
-    // Mobile menu links
-    const mobileLinks = document.querySelectorAll('.mobile-menu .nav-link');
-    mobileLinks[0].textContent = t.biography;
-    mobileLinks[1].textContent = t.inventions;
-    mobileLinks[2].textContent = t.art;
-    mobileLinks[3].textContent = t.legacy;
-
-    // Settings button label (both desktop and mobile)
-    const settingsBtn = document.getElementById('settingsBtn');
-    const mobileSettingsBtn = document.getElementById('mobileSettingsBtn');
-    if (settingsBtn) settingsBtn.textContent = t.settings;
-    if (mobileSettingsBtn) mobileSettingsBtn.textContent = t.settings;
-
-    // Hero
-    const heroTitle = document.querySelector('.hero-title');
-    if (heroTitle) heroTitle.innerHTML = t.heroTitle;
-    const heroDates = document.querySelector('.hero-dates');
-    if (heroDates) heroDates.textContent = t.heroDates;
-    const heroDesc = document.querySelector('.hero-desc');
-    if (heroDesc) heroDesc.textContent = t.heroDesc;
-
-    // Biography
-    const bioTitle = document.querySelector('#biography .section-title');
-    if (bioTitle) bioTitle.textContent = t.biographyTitle;
-    const timelineItems = document.querySelectorAll('.timeline-item');
-    if (timelineItems.length >= 5) {
-        timelineItems[0].querySelector('h3').textContent = t.birth1452;
-        timelineItems[0].querySelector('p').textContent = t.birthDesc;
-        timelineItems[1].querySelector('h3').textContent = t.apprentice1466;
-        timelineItems[1].querySelector('p').textContent = t.apprenticeDesc;
-        timelineItems[2].querySelector('h3').textContent = t.milan1482;
-        timelineItems[2].querySelector('p').textContent = t.milanDesc;
-        timelineItems[3].querySelector('h3').textContent = t.mona1503;
-        timelineItems[3].querySelector('p').textContent = t.monaDesc;
-        timelineItems[4].querySelector('h3').textContent = t.death1519;
-        timelineItems[4].querySelector('p').textContent = t.deathDesc;
-    }
-
-    // Inventions
-    const invTitle = document.querySelector('#inventions .section-title');
-    if (invTitle) invTitle.textContent = t.inventionsTitle;
-    const inventionCards = document.querySelectorAll('#inventions .content-card');
-    if (inventionCards.length >= 6) {
-        inventionCards[0].querySelector('.card-title').textContent = t.aerialScrew;
-        inventionCards[0].querySelector('.card-text').textContent = t.aerialDesc;
-        inventionCards[1].querySelector('.card-title').textContent = t.armoredTank;
-        inventionCards[1].querySelector('.card-text').textContent = t.tankDesc;
-        inventionCards[2].querySelector('.card-title').textContent = t.parachute;
-        inventionCards[2].querySelector('.card-text').textContent = t.parachuteDesc;
-        inventionCards[3].querySelector('.card-title').textContent = t.robotKnight;
-        inventionCards[3].querySelector('.card-text').textContent = t.robotDesc;
-        inventionCards[4].querySelector('.card-title').textContent = t.hydraulic;
-        inventionCards[4].querySelector('.card-text').textContent = t.hydraulicDesc;
-        inventionCards[5].querySelector('.card-title').textContent = t.bridge;
-        inventionCards[5].querySelector('.card-text').textContent = t.bridgeDesc;
-    }
-
-    // Art
-    const artTitle = document.querySelector('#art .section-title');
-    if (artTitle) artTitle.textContent = t.artTitle;
-    const artCards = document.querySelectorAll('#art .content-card');
-    if (artCards.length >= 4) {
-        artCards[0].querySelector('.card-title').textContent = t.monaLisa;
-        artCards[0].querySelector('.card-text').textContent = t.monaArtDesc;
-        artCards[1].querySelector('.card-title').textContent = t.lastSupper;
-        artCards[1].querySelector('.card-text').textContent = t.supperDesc;
-        artCards[2].querySelector('.card-title').textContent = t.vitruvian;
-        artCards[2].querySelector('.card-text').textContent = t.vitruvianDesc;
-        artCards[3].querySelector('.card-title').textContent = t.ladyErmine;
-        artCards[3].querySelector('.card-text').textContent = t.ermineDesc;
-    }
-
-    // Legacy
-    const legacyTitle = document.querySelector('#legacy .section-title');
-    if (legacyTitle) legacyTitle.textContent = t.legacyTitle;
-    const legacyCards = document.querySelectorAll('#legacy .content-card');
-    if (legacyCards.length >= 4) {
-        legacyCards[0].querySelector('.card-title').textContent = t.scientific;
-        legacyCards[0].querySelector('.card-text').textContent = t.scientificDesc;
-        legacyCards[1].querySelector('.card-title').textContent = t.interdisciplinary;
-        legacyCards[1].querySelector('.card-text').textContent = t.interDesc;
-        legacyCards[2].querySelector('.card-title').textContent = t.anatomical;
-        legacyCards[2].querySelector('.card-text').textContent = t.anatomicalDesc;
-        legacyCards[3].querySelector('.card-title').textContent = t.modern;
-        legacyCards[3].querySelector('.card-text').textContent = t.modernDesc;
-    }
-
-    // Settings modal labels and theme buttons (now plain text)
-    const settingsTitle = document.querySelector('.settings-title');
-    if (settingsTitle) settingsTitle.textContent = t.settings;
-
-    // theme-option plain text (no emojis)
-    document.querySelectorAll('.theme-option').forEach(btn => {
-        btn.textContent = (btn.dataset.theme === 'light') ? t.light : t.dark;
-        // update aria label
-        btn.setAttribute('aria-label', (btn.dataset.theme === 'light') ? t.light : t.dark);
+// Stored together under 'reading' and applied to <html> as CSS variables
+// (sizes and spacing) or data attributes (font, column). The head script in
+// index.html applies the saved values before first paint.
+const READING_SETTINGS = {
+    fontSize: { property: '--reading-scale', values: { default: null, large: '1.125', larger: '1.25' } },
+    lineHeight: { property: '--reading-leading', values: { default: null, relaxed: '1.2', loose: '1.4' } },
+    letterSpacing: { property: '--reading-tracking', values: { default: null, wide: '0.04em', wider: '0.08em' } },
+    font: { attribute: 'data-reading-font', values: { default: null, dyslexic: 'dyslexic' } },
+    column: { attribute: 'data-reading-column', values: { default: null, narrow: 'narrow' } }
+};
+const readingPreferences = {};
+
+function applyReadingUI(preferences, { persist = false } = {}) {
+    const root = document.documentElement;
+    Object.entries(READING_SETTINGS).forEach(([setting, { property, attribute, values }]) => {
+        const choice = preferences && Object.prototype.hasOwnProperty.call(values, preferences[setting])
+            ? preferences[setting]
+            : 'default';
+        readingPreferences[setting] = choice;
+        const value = values[choice];
+        if (property) {
+            if (value) root.style.setProperty(property, value);
+            else root.style.removeProperty(property);
+        } else if (value) {
+            root.setAttribute(attribute, value);
+        } else {
+            root.removeAttribute(attribute);
+        }
+    });
+    if (persist) setPreference('reading', readingPreferences);
+    document.querySelectorAll('.reading-option').forEach(btn => {
+        const active = readingPreferences[btn.dataset.setting] === btn.dataset.value;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-checked', active ? 'true' : 'false');
     });
+}
+
+// -------------------------
+// Translation lookup with fallback
+// -------------------------
+// Original DOM content per element, captured before the first translation
+// so a key missing from every dictionary never blanks the element
+const originalContent = new WeakMap();
+
+// Resolve a key in the requested locale, then English
+function translate(key, lang = currentLang) {
+    const dict = translations[lang];
+    if (dict && dict[key] != null) return dict[key];
+    const fallback = translations.en && translations.en[key];
+    return fallback != null ? fallback : undefined;
+}
+
+// Messages counting something may come in plural forms ("key.one",
+// "key.other", ...) picked by the language's plural rules; "key.other" and
+// then the plain key are the fallbacks
+function pluralKey(key, count, lang) {
+    const form = `${key}.${new Intl.PluralRules(lang).select(count)}`;
+    if (translate(form, lang) !== undefined) return form;
+    return translate(`${key}.other`, lang) !== undefined ? `${key}.other` : key;
+}
+
+// Translate a message and fill its {placeholders}
+function formatTranslation(key, params = {}, lang = currentLang) {
+    const message = translate(typeof params.count === 'number' ? pluralKey(key, params.count, lang) : key, lang);
+    if (message === undefined) return undefined;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Apply a translated value to an element property or attribute
+// (requested locale -> English -> original DOM content)
+function setTranslated(el, key, lang, target = 'textContent') {
+    if (!el) return;
+    let originals = originalContent.get(el);
+    if (!originals) {
+        originals = {};
+        originalContent.set(el, originals);
+    }
+    const isProperty = target === 'textContent' || target === 'innerHTML';
+    if (!(target in originals)) {
+        originals[target] = isProperty ? el[target] : el.getAttribute(target);
+    }
+
+    const value = translate(key, lang);
+    const next = value !== undefined ? value : originals[target];
+    if (next == null) return;
+    if (isProperty) el[target] = next;
+    else el.setAttribute(target, next);
+}
+
+// -------------------------
+// Declarative translation bindings
+// -------------------------
+// data-i18n="key"                 -> textContent
+// data-i18n-html="key"            -> innerHTML (dictionary markup only, e.g. <br>)
+// data-i18n-attr="attr:key;..."   -> one or more attributes
+const I18N_SELECTOR = '[data-i18n], [data-i18n-html], [data-i18n-attr]';
+
+function translateElement(el, lang) {
+    const { i18n, i18nHtml, i18nAttr } = el.dataset;
+    if (i18n) setTranslated(el, i18n, lang);
+    if (i18nHtml) setTranslated(el, i18nHtml, lang, 'innerHTML');
+    if (i18nAttr) {
+        i18nAttr.split(';').forEach(binding => {
+            const [attr, key] = binding.split(':').map(part => part.trim());
+            if (attr && key) setTranslated(el, key, lang, attr);
+        });
+    }
+}
+
+// Translate a root element (or document) and every bound descendant
+function applyTranslations(root, lang) {
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(I18N_SELECTOR)) {
+        translateElement(root, lang);
+    }
+    root.querySelectorAll(I18N_SELECTOR).forEach(el => translateElement(el, lang));
+}
 
-    // setting labels (first = theme, second = language)
-    const settingLabels = document.querySelectorAll('.setting-label');
-    if (settingLabels.length > 0) settingLabels[0].textContent = t.theme;
-    if (settingLabels.length > 1) settingLabels[1].textContent = t.language;
+// -------------------------
+// Update content from translations
+// -------------------------
+function updateContent(lang) {
+    applyTranslations(document, lang);
 
     // Mark active language
     document.querySelectorAll('.lang-option').forEach(btn => {
         if (btn.dataset.lang === lang) btn.classList.add('active');
         else btn.classList.remove('active');
     });
+
+    // Let components that render text from code (not data-i18n) refresh
+    document.dispatchEvent(new CustomEvent('contentlanguagechange', { detail: { lang } }));
+}
+
+// Translate nodes inserted after the initial pass (gallery viewer, reference icons, ...)
+const i18nObserver = new MutationObserver(mutations => {
+    mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) applyTranslations(node, currentLang);
+        });
+    });
+});
+i18nObserver.observe(document.body, { childList: true, subtree: true });
+registerCleanup(() => i18nObserver.disconnect());
+
+// Try the requested bundle, then the browser language, then English
+async function resolveLocale(lang) {
+    const candidates = [...new Set([lang, detectBrowserLanguage(), 'en'])];
+    for (const candidate of candidates) {
+        try {
+            await loadLocale(candidate);
+            return candidate;
+        } catch (error) {
+            console.error(`Failed to load locale "${candidate}":`, error);
+        }
+    }
+    return null;
+}
+
+// Loading state on the chosen language button while its bundle is fetched
+function setLanguageLoading(lang, isLoading) {
+    document.querySelectorAll('.lang-option').forEach(btn => {
+        const loading = isLoading && btn.dataset.lang === lang;
+        btn.classList.toggle('loading', loading);
+        btn.setAttribute('aria-busy', loading ? 'true' : 'false');
+    });
+}
+
+// Switch language once its bundle is available; the current language stays
+// on screen until then. Only the most recent request is applied.
+let languageRequestId = 0;
+async function setLanguage(lang, { persist = false } = {}) {
+    const requestId = ++languageRequestId;
+    setLanguageLoading(lang, true);
+
+    // English is loaded alongside so missing keys can fall back to it
+    const [resolved] = await Promise.all([
+        resolveLocale(lang),
+        loadLocale('en').catch(() => null)
+    ]);
+
+    if (requestId !== languageRequestId) return;
+    setLanguageLoading(lang, false);
+    if (!resolved) return;
+
+    currentLang = resolved;
+    if (persist && resolved === lang) setPreference('language', currentLang);
+    updateContent(currentLang);
+    updateDocumentLanguage(currentLang);
 }
 
 // -------------------------
-// Initialization: theme & language from localStorage or system/browser
+// Initialization: theme & language from saved preferences or system/browser
 // -------------------------
 const body = document.body;
 const navbar = document.querySelector('#navbar');
@@ -1217,25 +2209,20 @@ const closeSettings = document.getElementById('closeSettings');
 const hamburger = document.getElementById('hamburger');
 const mobileMenu = document.getElementById('mobileMenu');
 
-// determine theme (saved or system preference)
-const savedTheme = (function() {
-    try { return localStorage.getItem('theme'); } catch (e) { return null; }
-})();
-const initialTheme = savedTheme || (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
-// ensure UI reflects theme
-applyThemeUI(initialTheme);
-
-// language saved or detected
-const savedLang = (function() {
-    try { return localStorage.getItem('language'); } catch (e) { return null; }
-})() || currentLang;
+// ensure UI reflects the saved theme ('auto' follows the system) and reading settings
+applyThemeUI(getPreference('theme'));
+applyReadingUI(getPreference('reading'));
+
+// language from the URL, then saved, then detected
+const savedLang = getUrlLanguage() || getPreference('language') || currentLang;
 currentLang = savedLang;
 
-// apply translations
-updateContent(currentLang);
+// render catalog cards, then load and apply translations
+renderCatalogCards();
+setLanguage(currentLang);
 
 // set active theme (UI)
-applyThemeUI(initialTheme);
+applyThemeUI(getPreference('theme'));
 
 // Optimized scroll handler
 const updateNavbarBackground = throttle(() => {
@@ -1322,10 +2309,10 @@ window.addEventListener('load', () => {
     // Initialize image carousel
     initImageCarousel();
     
-    // Set minimum display time for loader (2.5 seconds)
+    // Set minimum display time for loader (2.5 seconds at full motion)
     const loadStartTime = Date.now();
-    const minimumLoadTime = 2500;
-    const animationDuration = 800;
+    const minimumLoadTime = motionDuration(2500);
+    const animationDuration = motionDuration(800);
     
     setTimeout(() => {
         const elapsedTime = Date.now() - loadStartTime;
@@ -1335,7 +2322,8 @@ window.addEventListener('load', () => {
             if (loader) loader.classList.add('hidden');
             updateNavbarBackground();
 
-            // restore last section if present
+            // restore last section if present (not behind an open gallery)
+            if (galleryViewer.isOpen) return;
             try {
                 const last = localStorage.getItem('lastSection');
                 if (last) {
@@ -1356,12 +2344,14 @@ function openSettings() {
     settingsModal.classList.add('active');
     settingsModal.setAttribute('aria-hidden', 'false');
     document.body.style.overflow = 'hidden';
+    activateOverlay(settingsModal, { initialFocus: closeSettings, onEscape: closeSettingsModal });
 }
 
 function closeSettingsModal() {
     settingsModal.classList.remove('active');
     settingsModal.setAttribute('aria-hidden', 'true');
     document.body.style.overflow = '';
+    deactivateOverlay(settingsModal);
 }
 
 settingsBtn.addEventListener('click', openSettings);
@@ -1385,31 +2375,36 @@ document.querySelectorAll('.theme-option').forEach(btn => {
     btn.addEventListener('click', () => {
         const theme = btn.dataset.theme;
         applyThemeUI(theme);
-        // update translations in case settings labels change with theme (not necessary but harmless)
-        updateContent(currentLang);
+    });
+});
+
+// Motion switcher
+document.querySelectorAll('.motion-option').forEach(btn => {
+    btn.addEventListener('click', () => {
+        applyMotionUI(btn.dataset.motion, { persist: true });
+    });
+});
+
+// Reading comfort buttons change one setting at a time
+document.querySelectorAll('.reading-option').forEach(btn => {
+    btn.addEventListener('click', () => {
+        applyReadingUI({ ...readingPreferences, [btn.dataset.setting]: btn.dataset.value }, { persist: true });
     });
 });
 
 // Language switcher
 document.querySelectorAll('.lang-option').forEach(btn => {
     btn.addEventListener('click', () => {
-        const newLang = btn.dataset.lang;
-        currentLang = newLang;
-        try { localStorage.setItem('language', currentLang); } catch (e) {}
-        updateContent(currentLang);
-        // reflect active language button
-        document.querySelectorAll('.lang-option').forEach(b => b.classList.toggle('active', b.dataset.lang === currentLang));
+        setLanguage(btn.dataset.lang, { persist: true });
     });
 });
 
-// Mark active theme button initially (in case of saved theme)
-(function markInitialThemeButton() {
-    const theme = document.documentElement.getAttribute('data-theme') || initialTheme;
-    document.querySelectorAll('.theme-option').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.theme === theme);
-        btn.setAttribute('aria-checked', btn.dataset.theme === theme ? 'true' : 'false');
+// Auto follows the system colour scheme while the page is open
+if (colorSchemeQuery) {
+    colorSchemeQuery.addEventListener('change', () => {
+        if (themePreference === 'auto') applyThemeUI('auto');
     });
-})();
+}
 
 // NAV link clicks update scroll memory (also update active state)
 document.querySelectorAll('.nav-link').forEach(link => {
@@ -1464,9 +2459,8 @@ const handleResize = debounce(() => {
         toggleMobileMenu();
     }
     
-    // Optimize animations based on device capability
-    const isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    document.documentElement.classList.toggle('reduce-motion', isReducedMotion);
+    // Optimize animations based on the motion setting
+    document.documentElement.classList.toggle('reduce-motion', prefersReducedMotion());
     
     // Update touch behavior based on device type
     const isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
@@ -1478,4 +2472,2086 @@ window.addEventListener('resize', handleResize, { passive: true });
 registerCleanup(() => window.removeEventListener('resize', handleResize));
 
 // Initial device capability check
-handleResize();
\ No newline at end of file
+handleResize();
+// -------------------------
+// Keyboard shortcuts
+// -------------------------
+// Site-wide shortcuts. Keys are written as they appear in the help overlay:
+// a single key ("t") or a two-key chord ("g b") whose second key must follow
+// within SHORTCUT_CHORD_TIMEOUT. Entries without an action are only listed
+// in the help overlay (the gallery handles its own keys while it is open).
+const SHORTCUT_CHORD_TIMEOUT = 1500;
+const shortcuts = [];
+
+// Keys shown by name rather than as typed
+const SHORTCUT_KEY_LABELS = { Space: 'keySpace', Esc: 'keyEscape' };
+
+function registerShortcut(keys, label, group, action = null) {
+    shortcuts.push({ keys, label, group, action });
+}
+
+// Scroll to a page section and remember it like a nav link click
+function goToSection(id) {
+    const section = document.getElementById(id);
+    if (!section) return;
+    section.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+    try { localStorage.setItem('lastSection', id); } catch (e) {}
+}
+
+// Returns false while there is no search field, so "/" keeps its default
+function focusSearch() {
+    const search = document.getElementById('siteSearch');
+    if (!search) return false;
+    search.focus();
+    if (search.select) search.select();
+}
+
+// Flip between light and dark from whatever is shown now
+function toggleTheme() {
+    const theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+    applyThemeUI(theme);
+}
+
+registerShortcut('g b', 'shortcutGoBiography', 'navigation', () => goToSection('biography'));
+registerShortcut('g i', 'shortcutGoInventions', 'navigation', () => goToSection('inventions'));
+registerShortcut('g a', 'shortcutGoArt', 'navigation', () => goToSection('art'));
+registerShortcut('g l', 'shortcutGoLegacy', 'navigation', () => goToSection('legacy'));
+registerShortcut('/', 'shortcutFocusSearch', 'general', focusSearch);
+registerShortcut('t', 'shortcutToggleTheme', 'general', toggleTheme);
+registerShortcut(',', 'shortcutOpenSettings', 'general', openSettings);
+registerShortcut('c', 'shortcutOpenCollection', 'general', () => openCollection());
+registerShortcut('q', 'shortcutOpenQuiz', 'general', () => openQuiz());
+registerShortcut('?', 'shortcutShowHelp', 'general', () => toggleShortcutHelp());
+registerShortcut('Esc', 'shortcutCloseOverlay', 'general');
+registerShortcut('←', 'shortcutPrevImage', 'gallery');
+registerShortcut('→', 'shortcutNextImage', 'gallery');
+registerShortcut('+', 'shortcutZoomIn', 'gallery');
+registerShortcut('-', 'shortcutZoomOut', 'gallery');
+registerShortcut('0', 'shortcutResetZoom', 'gallery');
+registerShortcut('Space', 'shortcutSlideshow', 'gallery');
+registerShortcut('f', 'shortcutFullscreen', 'gallery');
+registerShortcut('i', 'shortcutInfo', 'gallery');
+registerShortcut('h', 'shortcutHotspots', 'gallery');
+
+const SHORTCUT_GROUPS = [
+    { id: 'navigation', label: 'shortcutGroupNavigation' },
+    { id: 'general', label: 'shortcutGroupGeneral' },
+    { id: 'gallery', label: 'shortcutGroupGallery' }
+];
+
+// Help overlay, built from the registry and styled like the settings modal
+const shortcutHelp = document.createElement('div');
+shortcutHelp.className = 'settings-modal shortcuts-modal';
+shortcutHelp.setAttribute('aria-hidden', 'true');
+shortcutHelp.innerHTML = `
+    <div class="settings-content" role="dialog" aria-modal="true" aria-labelledby="shortcutsTitle" tabindex="-1">
+        <div class="settings-header">
+            <h3 id="shortcutsTitle" class="settings-title" data-i18n="keyboardShortcuts">Keyboard shortcuts</h3>
+            <button class="close-btn" aria-label="Close keyboard shortcuts" data-i18n-attr="aria-label:closeShortcuts">×</button>
+        </div>
+        ${SHORTCUT_GROUPS.map(group => `
+            <div class="setting-group">
+                <h4 class="setting-label" data-i18n="${group.label}"></h4>
+                <dl class="shortcut-list">
+                    ${shortcuts.filter(shortcut => shortcut.group === group.id).map(shortcut => `
+                        <div class="shortcut-row">
+                            <dt class="shortcut-keys">${renderShortcutKeys(shortcut.keys)}</dt>
+                            <dd data-i18n="${shortcut.label}"></dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            </div>
+        `).join('')}
+    </div>
+`;
+document.body.appendChild(shortcutHelp);
+const shortcutHelpClose = shortcutHelp.querySelector('.close-btn');
+
+function renderShortcutKeys(keys) {
+    return keys.split(' ').map(key => {
+        const name = SHORTCUT_KEY_LABELS[key];
+        return name ? `<kbd data-i18n="${name}">${key}</kbd>` : `<kbd>${key}</kbd>`;
+    }).join(' <span class="shortcut-then" data-i18n="shortcutThen">then</span> ');
+}
+
+function openShortcutHelp() {
+    shortcutHelp.classList.add('active');
+    shortcutHelp.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+    activateOverlay(shortcutHelp, { initialFocus: shortcutHelpClose, onEscape: closeShortcutHelp });
+}
+
+function closeShortcutHelp() {
+    shortcutHelp.classList.remove('active');
+    shortcutHelp.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+    deactivateOverlay(shortcutHelp);
+}
+
+function toggleShortcutHelp() {
+    if (shortcutHelp.classList.contains('active')) closeShortcutHelp();
+    else openShortcutHelp();
+}
+
+shortcutHelpClose.addEventListener('click', closeShortcutHelp);
+shortcutHelp.addEventListener('click', e => {
+    if (e.target === shortcutHelp) closeShortcutHelp();
+});
+
+// Typing in a field never triggers shortcuts
+function isTypingTarget(target) {
+    return !!(target && target.closest &&
+        (target.closest('input, textarea, select') || target.isContentEditable));
+}
+
+let pendingChord = null;
+let pendingChordTimer = null;
+
+function clearPendingChord() {
+    pendingChord = null;
+    clearTimeout(pendingChordTimer);
+}
+
+document.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTypingTarget(e.target)) {
+        clearPendingChord();
+        return;
+    }
+
+    // Open overlays own the keyboard (the gallery has its own keys); only
+    // "?" gets through, to close the help overlay itself
+    const top = overlayStack[overlayStack.length - 1];
+    if (top && !(top.overlay === shortcutHelp && e.key === '?')) return;
+
+    // Shift is needed to type "?" and must not break a pending chord
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+    // A key that doesn't complete the pending chord is tried on its own
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const candidates = pendingChord ? [`${pendingChord} ${key}`, key] : [key];
+    clearPendingChord();
+
+    for (const sequence of candidates) {
+        const match = shortcuts.find(shortcut => shortcut.action && shortcut.keys === sequence);
+        if (match) {
+            if (match.action() !== false) e.preventDefault();
+            return;
+        }
+        // Wait for the second key of a chord
+        if (shortcuts.some(shortcut => shortcut.action && shortcut.keys.startsWith(`${sequence} `))) {
+            e.preventDefault();
+            pendingChord = sequence;
+            pendingChordTimer = setTimeout(clearPendingChord, SHORTCUT_CHORD_TIMEOUT);
+            return;
+        }
+    }
+});
+
+// -------------------------
+// Site search
+// -------------------------
+// Finds timeline events and cards in the active language. The index is
+// rebuilt on every language change. Query words
+// match by prefix or substring, or within a small edit distance for typos.
+const SEARCH_MAX_RESULTS = 8;
+const searchInput = document.getElementById('siteSearch');
+const searchResults = document.getElementById('searchResults');
+const searchStatus = document.getElementById('searchStatus');
+let searchIndex = [];
+let searchMatches = [];
+let activeSearchResult = -1;
+let searchTargetTimer = null;
+
+// Lowercase and strip accents so "leonard" also finds "Léonard"
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function getSearchWords(text) {
+    return normalizeSearchText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Damerau-Levenshtein distance, giving up once it exceeds max
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+// How well a query word matches a page word (0 = no match)
+function scoreSearchWord(token, word) {
+    if (word === token) return 4;
+    if (word.startsWith(token)) return 3;
+    if (token.length >= 3 && word.includes(token)) return 2;
+    const allowed = token.length >= 9 ? 2 : token.length >= 5 ? 1 : 0;
+    if (!allowed) return 0;
+    // Compare against the whole word and against a same-length prefix, so
+    // typos are forgiven while the word is still being typed
+    const distance = Math.min(
+        getEditDistance(token, word, allowed),
+        getEditDistance(token, word.slice(0, token.length), allowed)
+    );
+    return distance <= allowed ? 1 : 0;
+}
+
+function scoreSearchWords(token, words) {
+    return words.reduce((best, word) => Math.max(best, scoreSearchWord(token, word)), 0);
+}
+
+function buildSearchIndex() {
+    // Timeline events come from the data, so filtered-out events are found too
+    const events = TIMELINE_EVENTS.map(event => ({
+        event,
+        section: 'biography',
+        title: translate(event.title) || '',
+        text: translate(event.desc) || '',
+        meta: String(event.year)
+    }));
+
+    const cards = Array.from(document.querySelectorAll('.content-card')).map(element => {
+        const section = element.closest('section');
+        const title = element.querySelector('.card-title');
+        const text = element.querySelector('.card-text');
+        return {
+            element,
+            section: section ? section.id : '',
+            work: element.dataset.work ? getCatalogEntry(element.dataset.work) : null,
+            title: title ? title.textContent.trim() : '',
+            text: text ? text.textContent.trim() : '',
+            meta: ''
+        };
+    });
+
+    searchIndex = [...events, ...cards].filter(entry => entry.title).map(entry => {
+        // Works are also found by their date, medium and location
+        const facts = entry.work
+            ? getWorkFacts(entry.work).filter(fact => !fact.href).map(fact => fact.value).join(' ')
+            : '';
+        return {
+            ...entry,
+            titleWords: getSearchWords(`${entry.title} ${entry.meta}`),
+            textWords: getSearchWords(`${entry.text} ${facts}`)
+        };
+    });
+}
+
+// Rendered element of an index entry (null for events hidden by the timeline filters)
+function getSearchEntryElement(entry) {
+    return entry.event
+        ? document.querySelector(`.timeline-item[data-event="${entry.event.id}"]`)
+        : entry.element;
+}
+
+// Every query word has to match; title matches count double
+function searchContent(query) {
+    const tokens = getSearchWords(query);
+    if (!tokens.length) return [];
+    return searchIndex
+        .map((entry, order) => {
+            let score = 0;
+            for (const token of tokens) {
+                const tokenScore = Math.max(scoreSearchWords(token, entry.titleWords) * 2, scoreSearchWords(token, entry.textWords));
+                if (!tokenScore) return null;
+                score += tokenScore;
+            }
+            return { entry, score, order };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(result => result.entry);
+}
+
+function clearSearchHighlights() {
+    document.querySelectorAll('mark.search-highlight').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(mark.textContent);
+        parent.normalize();
+    });
+}
+
+// Wrap the matching words of each found item in <mark>
+function highlightSearchMatches(query, entries) {
+    clearSearchHighlights();
+    const tokens = getSearchWords(query);
+    if (!tokens.length) return;
+    const isMatch = word => tokens.some(token => scoreSearchWord(token, normalizeSearchText(word)) > 0);
+
+    entries.forEach(entry => {
+        const element = getSearchEntryElement(entry);
+        if (!element) return;
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const text = node.textContent;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+                if (!isMatch(match[0])) continue;
+                fragment.append(text.slice(last, match.index));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = match[0];
+                fragment.append(mark);
+                last = match.index + match[0].length;
+            }
+            if (!last) return;
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+        });
+    });
+}
+
+function truncateText(text, length) {
+    return text.length > length ? `${text.slice(0, length).trimEnd()}…` : text;
+}
+
+function renderSearchResults(query) {
+    activeSearchResult = -1;
+    searchInput.removeAttribute('aria-activedescendant');
+
+    if (!searchMatches.length) {
+        const empty = document.createElement('li');
+        empty.className = 'nav-search-empty';
+        empty.setAttribute('role', 'presentation');
+        empty.textContent = formatTranslation('searchNoResults', { query }) || query;
+        searchResults.replaceChildren(empty);
+        searchStatus.textContent = empty.textContent;
+        return;
+    }
+
+    searchResults.replaceChildren(...searchMatches.slice(0, SEARCH_MAX_RESULTS).map((entry, index) => {
+        const option = document.createElement('li');
+        option.className = 'nav-search-result';
+        option.id = `searchResult${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const section = document.createElement('span');
+        section.className = 'search-result-section';
+        section.textContent = [translate(entry.section), entry.meta, entry.work && translate('searchOpensGallery')]
+            .filter(Boolean).join(' · ');
+        const title = document.createElement('span');
+        title.className = 'search-result-title';
+        title.textContent = entry.title;
+        const text = document.createElement('span');
+        text.className = 'search-result-text';
+        text.textContent = truncateText(entry.text, 90);
+
+        option.append(title, section, text);
+        return option;
+    }));
+    searchStatus.textContent = formatTranslation('searchResultCount', { count: searchMatches.length }) || '';
+}
+
+function setSearchResultsOpen(open) {
+    searchResults.hidden = !open;
+    searchInput.setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+function runSearch() {
+    const query = searchInput.value.trim();
+    if (!searchIndex.length) buildSearchIndex();
+    searchMatches = searchContent(query);
+    highlightSearchMatches(query, searchMatches);
+    if (!query) {
+        searchResults.replaceChildren();
+        searchStatus.textContent = '';
+        setSearchResultsOpen(false);
+        return;
+    }
+    renderSearchResults(query);
+    setSearchResultsOpen(document.activeElement === searchInput);
+}
+
+function setActiveSearchResult(index) {
+    const options = searchResults.querySelectorAll('.nav-search-result');
+    if (!options.length) return;
+    activeSearchResult = (index + options.length) % options.length;
+    options.forEach((option, i) => {
+        option.classList.toggle('active', i === activeSearchResult);
+        option.setAttribute('aria-selected', i === activeSearchResult ? 'true' : 'false');
+    });
+    const active = options[activeSearchResult];
+    searchInput.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+}
+
+// Catalog works open in the gallery; timeline events are revealed in the
+// timeline; everything else is scrolled to and focused
+function openSearchResult(entry) {
+    setSearchResultsOpen(false);
+    if (entry.work) {
+        entry.element.scrollIntoView({ block: 'center', behavior: 'instant' });
+        // Focus the card first so closing the gallery returns to it
+        const button = entry.element.querySelector('.card-open');
+        if (button) button.focus({ preventScroll: true });
+        openWorkInGallery(entry.work);
+        return;
+    }
+    if (entry.event) {
+        showTimelineEvent(entry.event.id);
+        return;
+    }
+    focusPageItem(entry.element);
+}
+
+// Scroll to an item on the page, focus it and outline it briefly
+function focusPageItem(element) {
+    element.scrollIntoView({ block: 'center', behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+    element.setAttribute('tabindex', '-1');
+    element.focus({ preventScroll: true });
+    document.querySelectorAll('.search-target').forEach(el => el.classList.remove('search-target'));
+    element.classList.add('search-target');
+    clearTimeout(searchTargetTimer);
+    searchTargetTimer = setTimeout(() => element.classList.remove('search-target'), 2000);
+}
+
+searchInput.addEventListener('input', debounce(runSearch, 120));
+searchInput.addEventListener('focus', () => {
+    if (searchInput.value.trim()) setSearchResultsOpen(true);
+});
+searchInput.addEventListener('keydown', (e) => {
+    const open = !searchResults.hidden;
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (!searchInput.value.trim()) return;
+            e.preventDefault();
+            if (!open) setSearchResultsOpen(true);
+            setActiveSearchResult(activeSearchResult + (e.key === 'ArrowDown' ? 1 : -1));
+            break;
+        case 'Enter': {
+            e.preventDefault();
+            // Without a highlighted option, search now rather than wait for the debounce
+            const index = activeSearchResult;
+            if (index === -1) runSearch();
+            const entry = searchMatches[Math.max(0, index)];
+            if (entry) openSearchResult(entry);
+            break;
+        }
+        case 'Escape':
+            // First close the list, then clear the query (and its highlights)
+            e.preventDefault();
+            if (open) {
+                setSearchResultsOpen(false);
+            } else {
+                searchInput.value = '';
+                runSearch();
+            }
+            break;
+    }
+});
+
+// Keep focus in the field while a result is clicked
+searchResults.addEventListener('mousedown', e => e.preventDefault());
+searchResults.addEventListener('click', (e) => {
+    const option = e.target.closest('.nav-search-result');
+    if (option) openSearchResult(searchMatches[Number(option.dataset.index)]);
+});
+
+searchInput.addEventListener('blur', () => setSearchResultsOpen(false));
+
+// Translations replace the indexed text (and any highlights), so reindex
+// and repeat the current query in the new language
+document.addEventListener('contentlanguagechange', () => {
+    buildSearchIndex();
+    if (searchInput.value.trim()) runSearch();
+});
+
+// -------------------------
+// Interactive timeline
+// -------------------------
+// Renders TIMELINE_EVENTS into #timeline, filtered by period and theme. The
+// year view lists every event under its period; the decade view condenses
+// them into one row per decade whose entries zoom back into the year view.
+const timelineElement = document.getElementById('timeline');
+const timelineControls = document.getElementById('timelineControls');
+const timelineState = { period: 'all', theme: 'all', zoom: 'years' };
+const TIMELINE_START = TIMELINE_EVENTS[0].year;
+const TIMELINE_END = TIMELINE_EVENTS[TIMELINE_EVENTS.length - 1].year;
+
+function getTimelineEvents() {
+    return TIMELINE_EVENTS.filter(event =>
+        (timelineState.period === 'all' || event.period === timelineState.period) &&
+        (timelineState.theme === 'all' || event.themes.includes(timelineState.theme)));
+}
+
+function getTimelinePeriod(id) {
+    return TIMELINE_PERIODS.find(period => period.id === id) || null;
+}
+
+function createTimelineFilter(name, label, options) {
+    const group = document.createElement('div');
+    group.className = 'timeline-filter';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-labelledby', `timeline-${name}-label`);
+    group.innerHTML = `
+        <span class="timeline-filter-label" id="timeline-${name}-label" data-i18n="${label}"></span>
+        ${options.map(option => `
+            <button type="button" class="timeline-chip" data-filter="${name}" data-value="${option.id}"
+                aria-pressed="${timelineState[name] === option.id}" data-i18n="${option.label}"></button>
+        `).join('')}
+    `;
+    return group;
+}
+
+function renderTimelineControls() {
+    const all = { id: 'all', label: 'timelineAll' };
+    timelineControls.replaceChildren(
+        createTimelineFilter('period', 'timelinePeriod', [all, ...TIMELINE_PERIODS]),
+        createTimelineFilter('theme', 'timelineTheme', [all, ...TIMELINE_THEMES]),
+        createTimelineFilter('zoom', 'timelineZoom', [
+            { id: 'decades', label: 'timelineDecades' },
+            { id: 'years', label: 'timelineYears' }
+        ])
+    );
+
+    const scrub = document.createElement('div');
+    scrub.className = 'timeline-scrub';
+    scrub.innerHTML = `
+        <label class="timeline-filter-label" for="timelineYear" data-i18n="timelineYear"></label>
+        <input type="range" id="timelineYear" class="timeline-year" min="${TIMELINE_START}" max="${TIMELINE_END}" step="1" value="${TIMELINE_START}">
+        <output class="timeline-year-value" for="timelineYear">${TIMELINE_START}</output>
+    `;
+    const status = document.createElement('p');
+    status.className = 'timeline-status';
+    status.setAttribute('aria-live', 'polite');
+    timelineControls.append(scrub, status);
+}
+
+function createTimelineEvent(event) {
+    const item = document.createElement('div');
+    item.className = 'timeline-item';
+    item.dataset.event = event.id;
+    item.dataset.year = event.year;
+    item.innerHTML = `
+        <div class="year">${event.circa ? '<span data-i18n="circa">c.</span> ' : ''}${event.year}</div>
+        <div class="timeline-content">
+            <h4 data-i18n="${event.title}"></h4>
+            <p data-i18n="${event.desc}"></p>
+            ${event.themes.length ? `
+                <ul class="timeline-tags">
+                    ${event.themes.map(theme => `<li data-i18n="${TIMELINE_THEMES.find(t => t.id === theme).label}"></li>`).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `;
+    return item;
+}
+
+function createTimelinePeriod(period) {
+    const header = document.createElement('div');
+    header.className = 'timeline-period';
+    header.dataset.period = period.id;
+    header.innerHTML = `
+        <h3 class="timeline-period-title">
+            <span data-i18n="${period.label}"></span>
+            <span class="timeline-period-years">${period.start}–${period.end}</span>
+        </h3>
+    `;
+    return header;
+}
+
+function createTimelineDecade(decade, events) {
+    const item = document.createElement('div');
+    item.className = 'timeline-item timeline-decade';
+    item.dataset.year = decade;
+    item.innerHTML = `
+        <div class="year" data-decade="${decade}"></div>
+        <div class="timeline-content">
+            <ul class="timeline-decade-events">
+                ${events.map(event => `
+                    <li>
+                        <button type="button" class="timeline-decade-event" data-event="${event.id}">
+                            <span class="timeline-decade-year">${event.year}</span>
+                            <span data-i18n="${event.title}"></span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+    return item;
+}
+
+// Decade labels and the event count are formatted in code, not bound with data-i18n
+function renderTimelineLabels() {
+    timelineElement.querySelectorAll('.year[data-decade]').forEach(label => {
+        label.textContent = formatTranslation('timelineDecade', { decade: label.dataset.decade }) || `${label.dataset.decade}s`;
+    });
+    const status = timelineControls.querySelector('.timeline-status');
+    if (status) {
+        status.textContent = formatTranslation('timelineShowing', {
+            count: getTimelineEvents().length,
+            total: TIMELINE_EVENTS.length
+        }) || '';
+    }
+}
+
+function renderTimeline() {
+    const events = getTimelineEvents();
+    const nodes = [];
+
+    if (timelineState.zoom === 'decades') {
+        const decades = new Map();
+        events.forEach(event => {
+            const decade = Math.floor(event.year / 10) * 10;
+            if (!decades.has(decade)) decades.set(decade, []);
+            decades.get(decade).push(event);
+        });
+        decades.forEach((decadeEvents, decade) => nodes.push(createTimelineDecade(decade, decadeEvents)));
+    } else {
+        TIMELINE_PERIODS.forEach(period => {
+            const periodEvents = events.filter(event => event.period === period.id);
+            if (!periodEvents.length) return;
+            nodes.push(createTimelinePeriod(period), ...periodEvents.map(createTimelineEvent));
+        });
+    }
+
+    if (!nodes.length) {
+        const empty = document.createElement('p');
+        empty.className = 'timeline-empty';
+        empty.dataset.i18n = 'timelineEmpty';
+        nodes.push(empty);
+    }
+
+    timelineElement.querySelectorAll('.timeline-item, .timeline-period').forEach(el => animObserver.unobserve(el));
+    timelineElement.classList.toggle('timeline-decades', timelineState.zoom === 'decades');
+    timelineElement.replaceChildren(...nodes);
+    // Translate right away so labels and search highlights apply to the new text
+    applyTranslations(timelineElement, currentLang);
+    renderTimelineLabels();
+    timelineElement.querySelectorAll('.timeline-item, .timeline-period').forEach(el => animObserver.observe(el));
+
+    timelineControls.querySelectorAll('.timeline-chip').forEach(chip => {
+        chip.setAttribute('aria-pressed', timelineState[chip.dataset.filter] === chip.dataset.value ? 'true' : 'false');
+    });
+
+    const query = searchInput.value.trim();
+    if (query) highlightSearchMatches(query, searchMatches);
+}
+
+// Show an event in the year view, clearing any filter that hides it
+function showTimelineEvent(id) {
+    const event = TIMELINE_EVENTS.find(item => item.id === id);
+    if (!event) return;
+    if (timelineState.period !== 'all' && timelineState.period !== event.period) timelineState.period = 'all';
+    if (timelineState.theme !== 'all' && !event.themes.includes(timelineState.theme)) timelineState.theme = 'all';
+    timelineState.zoom = 'years';
+    renderTimeline();
+
+    const item = timelineElement.querySelector(`.timeline-item[data-event="${id}"]`);
+    if (item) focusPageItem(item);
+}
+
+// Mark the first item at or after the year and bring it into view
+function scrubTimeline(year) {
+    const output = timelineControls.querySelector('.timeline-year-value');
+    if (output) output.textContent = year;
+
+    const items = Array.from(timelineElement.querySelectorAll('.timeline-item'));
+    if (!items.length) return;
+    const span = timelineState.zoom === 'decades' ? 9 : 0;
+    const target = items.find(item => Number(item.dataset.year) + span >= year) || items[items.length - 1];
+    items.forEach(item => item.classList.toggle('current', item === target));
+    target.scrollIntoView({ block: 'center', behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+}
+
+renderTimelineControls();
+renderTimeline();
+
+timelineControls.addEventListener('click', (e) => {
+    const chip = e.target.closest('.timeline-chip');
+    if (!chip || timelineState[chip.dataset.filter] === chip.dataset.value) return;
+    timelineState[chip.dataset.filter] = chip.dataset.value;
+    renderTimeline();
+});
+
+const timelineYear = timelineControls.querySelector('.timeline-year');
+timelineYear.addEventListener('input', throttle(() => scrubTimeline(Number(timelineYear.value)), 100));
+// The throttle can drop the last input; settle on the final value
+timelineYear.addEventListener('change', () => scrubTimeline(Number(timelineYear.value)));
+
+timelineElement.addEventListener('click', (e) => {
+    const button = e.target.closest('.timeline-decade-event');
+    if (button) showTimelineEvent(button.dataset.event);
+});
+
+document.addEventListener('contentlanguagechange', renderTimelineLabels);
+
+// -------------------------
+// My collection (favorites and notes in IndexedDB)
+// -------------------------
+// Works the visitor has starred, each with an optional note. Records live in
+// an IndexedDB store keyed by work id and are mirrored in memory so the UI
+// can read them synchronously. Every change dispatches 'collectionchange'
+// with the kind of change ('load', 'add', 'remove', 'note' or 'import').
+const COLLECTION_DB = 'leonardo-da-vinci';
+const COLLECTION_DB_VERSION = 1;
+const COLLECTION_STORE = 'collection';
+const COLLECTION_EXPORT_FORMAT = 'leonardo-collection';
+const collection = new Map();
+let collectionDbPromise = null;
+// Cleared when storage fails to open, so later changes stay in memory only
+let collectionPersistent = true;
+
+function openCollectionDb() {
+    if (!collectionDbPromise) {
+        collectionDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(COLLECTION_DB, COLLECTION_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(COLLECTION_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return collectionDbPromise;
+}
+
+// Run requests in one transaction; resolves with the last request's result
+async function withCollectionStore(mode, run) {
+    const db = await openCollectionDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(COLLECTION_STORE, mode);
+        const request = run(transaction.objectStore(COLLECTION_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function notifyCollectionChange(type) {
+    document.dispatchEvent(new CustomEvent('collectionchange', { detail: { type } }));
+}
+
+async function loadCollection() {
+    try {
+        const records = await withCollectionStore('readonly', store => store.getAll());
+        collection.clear();
+        records.forEach(record => {
+            if (getCatalogEntry(record.id)) collection.set(record.id, record);
+        });
+    } catch (error) {
+        collectionPersistent = false;
+        console.warn('Collection storage unavailable, favorites will not persist:', error);
+    }
+    notifyCollectionChange('load');
+}
+
+function isFavorite(id) {
+    return collection.has(id);
+}
+
+function getCollectionNote(id) {
+    const record = collection.get(id);
+    return record ? record.note : '';
+}
+
+// Memory is updated first so the UI responds at once; storage follows
+async function saveCollectionRecords(records, type) {
+    records.forEach(record => collection.set(record.id, record));
+    notifyCollectionChange(type);
+    if (!collectionPersistent) return;
+    try {
+        await withCollectionStore('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    } catch (error) {
+        console.warn('Could not save to the collection:', error);
+    }
+}
+
+async function removeFavorite(id) {
+    collection.delete(id);
+    notifyCollectionChange('remove');
+    if (!collectionPersistent) return;
+    try {
+        await withCollectionStore('readwrite', store => store.delete(id));
+    } catch (error) {
+        console.warn('Could not remove from the collection:', error);
+    }
+}
+
+function toggleFavorite(id) {
+    if (isFavorite(id)) return removeFavorite(id);
+    const now = Date.now();
+    return saveCollectionRecords([{ id, note: '', addedAt: now, updatedAt: now }], 'add');
+}
+
+function setCollectionNote(id, note) {
+    const record = collection.get(id);
+    if (!record || record.note === note) return;
+    return saveCollectionRecords([{ ...record, note, updatedAt: Date.now() }], 'note');
+}
+
+// Collected works in the order they were added
+function getCollectionItems() {
+    return Array.from(collection.values())
+        .sort((a, b) => a.addedAt - b.addedAt)
+        .map(record => ({ record, work: getCatalogEntry(record.id) }))
+        .filter(item => item.work);
+}
+
+function setFavoriteToggleState(button, active) {
+    button.setAttribute('aria-pressed', String(active));
+    button.textContent = active ? '★' : '☆';
+    const key = active ? 'removeFromCollection' : 'addToCollection';
+    button.dataset.i18nAttr = `aria-label:${key};title:${key}`;
+    translateElement(button, currentLang);
+}
+
+// -------------------------
+// Collection export and import
+// -------------------------
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportCollectionJson() {
+    const data = {
+        format: COLLECTION_EXPORT_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        items: getCollectionItems().map(({ record, work }) => ({
+            id: record.id,
+            title: translate(work.title) || record.id,
+            note: record.note,
+            addedAt: new Date(record.addedAt).toISOString()
+        }))
+    };
+    downloadFile('my-collection.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Readable Markdown; the <!-- work:id --> markers let the file be imported again
+function exportCollectionMarkdown() {
+    const lines = [`# ${translate('myCollection') || 'My collection'}`, ''];
+    getCollectionItems().forEach(({ record, work }) => {
+        const facts = getWorkFacts(work).filter(fact => !fact.href).map(fact => fact.value);
+        lines.push(`## ${translate(work.title) || work.id}`, `<!-- work:${work.id} -->`, '');
+        if (facts.length) lines.push(`*${facts.join(' · ')}*`, '');
+        if (record.note) lines.push(...record.note.split('\n').map(line => `> ${line}`), '');
+        if (work.links && work.links.length) lines.push(work.links[0], '');
+    });
+    downloadFile('my-collection.md', lines.join('\n'), 'text/markdown');
+}
+
+function parseCollectionJson(text) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== COLLECTION_EXPORT_FORMAT || !Array.isArray(data.items)) {
+        throw new Error('Not a collection export');
+    }
+    return data.items.map(item => ({
+        id: item.id,
+        note: typeof item.note === 'string' ? item.note : '',
+        addedAt: Date.parse(item.addedAt) || Date.now()
+    }));
+}
+
+// Each work marker starts an item; the quoted lines after it are its note
+function parseCollectionMarkdown(text) {
+    const items = [];
+    let current = null;
+    text.split(/\r?\n/).forEach(line => {
+        const marker = line.match(/^<!--\s*work:([\w-]+)\s*-->$/);
+        if (marker) {
+            current = { id: marker[1], note: [], addedAt: Date.now() + items.length };
+            items.push(current);
+        } else if (line.startsWith('## ')) {
+            current = null;
+        } else if (current && line.startsWith('>')) {
+            current.note.push(line.replace(/^>\s?/, ''));
+        }
+    });
+    if (!items.length) throw new Error('No collection items found');
+    return items.map(item => ({ ...item, note: item.note.join('\n') }));
+}
+
+// Merge imported items: unknown works are skipped, existing notes are kept
+// unless the import brings one
+async function importCollection(file) {
+    const text = await file.text();
+    const isJson = /\.json$/i.test(file.name) || text.trim().startsWith('{');
+    const items = isJson ? parseCollectionJson(text) : parseCollectionMarkdown(text);
+
+    const now = Date.now();
+    const records = items
+        .filter(item => getCatalogEntry(item.id))
+        .map(item => {
+            const existing = collection.get(item.id);
+            return {
+                id: item.id,
+                note: item.note || (existing ? existing.note : ''),
+                addedAt: existing ? existing.addedAt : item.addedAt,
+                updatedAt: now
+            };
+        });
+    await saveCollectionRecords(records, 'import');
+    return records.length;
+}
+
+// -------------------------
+// Collection panel and favorite toggles
+// -------------------------
+const collectionBtn = document.getElementById('collectionBtn');
+const mobileCollectionBtn = document.getElementById('mobileCollectionBtn');
+
+// Styled like the settings modal, built here because its list is dynamic
+const collectionPanel = document.createElement('div');
+collectionPanel.className = 'settings-modal collection-modal';
+collectionPanel.setAttribute('aria-hidden', 'true');
+collectionPanel.innerHTML = `
+    <div class="settings-content" role="dialog" aria-modal="true" aria-labelledby="collectionTitle">
+        <div class="settings-header">
+            <h3 id="collectionTitle" class="settings-title" data-i18n="myCollection">My collection</h3>
+            <button class="close-btn" aria-label="Close my collection" data-i18n-attr="aria-label:closeCollection">×</button>
+        </div>
+        <div class="collection-actions">
+            <button type="button" class="collection-action" data-action="export-json" data-i18n="exportJson">Export JSON</button>
+            <button type="button" class="collection-action" data-action="export-markdown" data-i18n="exportMarkdown">Export Markdown</button>
+            <label class="collection-action collection-import">
+                <span data-i18n="importCollection">Import…</span>
+                <input type="file" class="visually-hidden" accept=".json,.md,.markdown,application/json,text/markdown">
+            </label>
+        </div>
+        <p class="collection-status" aria-live="polite"></p>
+        <ul class="collection-list"></ul>
+        <p class="collection-empty" data-i18n="collectionEmpty"></p>
+    </div>
+`;
+document.body.appendChild(collectionPanel);
+const collectionPanelClose = collectionPanel.querySelector('.close-btn');
+const collectionList = collectionPanel.querySelector('.collection-list');
+const collectionStatus = collectionPanel.querySelector('.collection-status');
+
+function createCollectionItem({ record, work }) {
+    const item = document.createElement('li');
+    item.className = 'collection-item';
+    item.dataset.work = work.id;
+    const noteId = `collection-note-${work.id}`;
+    item.innerHTML = `
+        <div class="collection-thumb" aria-hidden="true"></div>
+        <div class="collection-body">
+            <button type="button" class="collection-open" data-i18n="${work.title}"
+                data-i18n-attr="title:collectionOpen"></button>
+            <span class="collection-meta"></span>
+            <label class="collection-note-label" for="${noteId}" data-i18n="collectionNote"></label>
+            <textarea class="collection-note" id="${noteId}" rows="2"
+                data-i18n-attr="placeholder:collectionNotePlaceholder"></textarea>
+        </div>
+        <button type="button" class="collection-remove" aria-label="Remove from my collection"
+            data-i18n-attr="aria-label:removeFromCollection;title:removeFromCollection">×</button>
+    `;
+    item.querySelector('.collection-thumb').style.backgroundImage = `url('${getCatalogImageSrc(work, work.images[0])}')`;
+    item.querySelector('.collection-meta').textContent = formatWorkDate(work);
+    const note = item.querySelector('.collection-note');
+    note.value = record.note;
+    note.addEventListener('input', debounce(() => setCollectionNote(work.id, note.value), 400));
+    return item;
+}
+
+function renderCollectionPanel() {
+    const items = getCollectionItems();
+    collectionList.replaceChildren(...items.map(createCollectionItem));
+    applyTranslations(collectionList, currentLang);
+    collectionPanel.querySelector('.collection-empty').hidden = items.length > 0;
+    collectionPanel.querySelectorAll('[data-action^="export"]').forEach(button => {
+        button.disabled = !items.length;
+    });
+}
+
+function updateFavoriteToggles() {
+    document.querySelectorAll('.content-card .favorite-toggle').forEach(toggle => {
+        setFavoriteToggleState(toggle, isFavorite(toggle.dataset.work));
+    });
+    collectionBtn.querySelector('.collection-count').textContent = collection.size;
+}
+
+function openCollection() {
+    collectionStatus.textContent = '';
+    renderCollectionPanel();
+    collectionPanel.classList.add('active');
+    collectionPanel.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+    activateOverlay(collectionPanel, { initialFocus: collectionPanelClose, onEscape: closeCollection });
+}
+
+function closeCollection() {
+    collectionPanel.classList.remove('active');
+    collectionPanel.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+    deactivateOverlay(collectionPanel);
+}
+
+collectionBtn.addEventListener('click', openCollection);
+mobileCollectionBtn.addEventListener('click', () => {
+    // Close mobile menu first, as for settings
+    hamburger.classList.remove('active');
+    mobileMenu.classList.remove('active');
+    openCollection();
+});
+collectionPanelClose.addEventListener('click', closeCollection);
+collectionPanel.addEventListener('click', (e) => {
+    if (e.target === collectionPanel) {
+        closeCollection();
+        return;
+    }
+    const item = e.target.closest('.collection-item');
+    if (e.target.closest('.collection-open') && item) {
+        closeCollection();
+        openWorkInGallery(getCatalogEntry(item.dataset.work));
+    } else if (e.target.closest('.collection-remove') && item) {
+        removeFavorite(item.dataset.work);
+    } else if (e.target.closest('[data-action="export-json"]')) {
+        exportCollectionJson();
+    } else if (e.target.closest('[data-action="export-markdown"]')) {
+        exportCollectionMarkdown();
+    }
+});
+
+collectionPanel.querySelector('.collection-import input').addEventListener('change', async (e) => {
+    const input = e.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+    try {
+        const count = await importCollection(file);
+        collectionStatus.textContent = formatTranslation('collectionImported', { count }) || '';
+    } catch (error) {
+        console.warn('Collection import failed:', error);
+        collectionStatus.textContent = translate('collectionImportFailed') || '';
+    }
+    // Allow importing the same file again
+    input.value = '';
+});
+
+// Stars on the catalog cards (the card itself opens the gallery)
+document.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.content-card .favorite-toggle');
+    if (toggle) toggleFavorite(toggle.dataset.work);
+});
+
+document.addEventListener('collectionchange', (e) => {
+    updateFavoriteToggles();
+    // Notes are edited in the panel itself, so only rebuild for other changes
+    if (collectionPanel.classList.contains('active') && e.detail.type !== 'note') {
+        renderCollectionPanel();
+    }
+});
+
+document.addEventListener('contentlanguagechange', () => {
+    if (collectionPanel.classList.contains('active')) renderCollectionPanel();
+});
+
+loadCollection();
+
+// -------------------------
+// Compare mode
+// -------------------------
+// Two images from any gallery section, side by side with independent zoom,
+// or stacked with a draggable divider revealing one over the other.
+const COMPARE_SECTIONS = [
+    { id: 'art', label: 'art' },
+    { id: 'inventions', label: 'inventions' },
+    { id: 'hero', label: 'compareFeatured' }
+];
+
+class CompareViewer {
+    constructor() {
+        this.isOpen = false;
+        this.mode = 'side';
+        this.split = 50;
+        this.syncPan = false;
+        this.syncing = false;
+        this.selection = [];
+        this.createDOM();
+        this.setupEventListeners();
+    }
+
+    createDOM() {
+        const viewer = document.createElement('div');
+        viewer.className = 'compare-viewer';
+        viewer.setAttribute('role', 'dialog');
+        viewer.setAttribute('aria-modal', 'true');
+        viewer.setAttribute('aria-labelledby', 'compareTitle');
+        viewer.setAttribute('aria-hidden', 'true');
+        viewer.innerHTML = `
+            <div class="compare-header">
+                <h2 class="compare-title" id="compareTitle" data-i18n="compareTitle">Compare images</h2>
+                <div class="compare-controls">
+                    <button type="button" class="compare-mode" data-mode="side" aria-pressed="true" data-i18n="compareSideBySide">Side by side</button>
+                    <button type="button" class="compare-mode" data-mode="swipe" aria-pressed="false" data-i18n="compareSwipe">Swipe</button>
+                    <label class="compare-sync">
+                        <input type="checkbox" class="compare-sync-input">
+                        <span data-i18n="compareSyncPan">Sync pan</span>
+                    </label>
+                </div>
+                <button type="button" class="compare-close" aria-label="Close comparison" data-i18n-attr="aria-label:closeCompare">×</button>
+            </div>
+            <div class="compare-pickers">
+                <label class="compare-picker">
+                    <span data-i18n="compareFirst">First image</span>
+                    <select class="compare-select" data-pane="0"></select>
+                </label>
+                <label class="compare-picker">
+                    <span data-i18n="compareSecond">Second image</span>
+                    <select class="compare-select" data-pane="1"></select>
+                </label>
+            </div>
+            <div class="compare-stage" data-mode="side">
+                ${[0, 1].map(pane => `
+                    <div class="compare-pane" data-pane="${pane}">
+                        <div class="compare-viewport" tabindex="0">
+                            <div class="compare-zoom-layer">
+                                <img class="compare-image" alt="" />
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="compare-divider" role="slider" tabindex="0" hidden
+                    aria-valuemin="0" aria-valuemax="100" aria-valuenow="50"
+                    aria-label="Divider position" data-i18n-attr="aria-label:compareDivider"></div>
+            </div>
+        `;
+        document.body.appendChild(viewer);
+
+        this.element = viewer;
+        this.stage = viewer.querySelector('.compare-stage');
+        this.divider = viewer.querySelector('.compare-divider');
+        this.syncInput = viewer.querySelector('.compare-sync-input');
+        this.selects = Array.from(viewer.querySelectorAll('.compare-select'));
+        this.images = Array.from(viewer.querySelectorAll('.compare-image'));
+        this.zooms = Array.from(viewer.querySelectorAll('.compare-viewport'), (viewport, pane) =>
+            new ZoomController(viewport, viewport.querySelector('.compare-zoom-layer'), {
+                onChange: (zoom) => this.syncFrom(pane, zoom)
+            }));
+    }
+
+    setupEventListeners() {
+        this.element.querySelector('.compare-close').addEventListener('click', () => this.close());
+        this.element.querySelectorAll('.compare-mode').forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode));
+        });
+        this.syncInput.addEventListener('change', () => {
+            this.syncPan = this.syncInput.checked;
+            if (this.syncPan) this.syncFrom(0, this.zooms[0]);
+        });
+        this.selects.forEach((select, pane) => {
+            select.addEventListener('change', () => {
+                const [section, index] = select.value.split(':');
+                this.setImage(pane, { section, index: Number(index) });
+            });
+        });
+
+        // Zoom keys act on the focused image
+        this.zooms.forEach(zoom => {
+            zoom.viewport.addEventListener('keydown', (e) => {
+                if (e.key === '+' || e.key === '=') zoom.zoomBy(1.5);
+                else if (e.key === '-') zoom.zoomBy(1 / 1.5);
+                else if (e.key === '0') zoom.reset(true);
+            });
+        });
+
+        // Divider: drag with mouse or touch, arrow keys when focused
+        this.divider.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.divider.setPointerCapture(e.pointerId);
+            this.dragging = true;
+        });
+        this.divider.addEventListener('pointermove', (e) => {
+            if (!this.dragging) return;
+            const rect = this.stage.getBoundingClientRect();
+            this.setSplit((e.clientX - rect.left) / rect.width * 100);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.divider.addEventListener(type, () => {
+                this.dragging = false;
+            });
+        });
+        this.divider.addEventListener('keydown', (e) => {
+            const steps = { ArrowLeft: -5, ArrowDown: -5, ArrowRight: 5, ArrowUp: 5, PageDown: -25, PageUp: 25 };
+            if (e.key in steps) this.setSplit(this.split + steps[e.key]);
+            else if (e.key === 'Home') this.setSplit(0);
+            else if (e.key === 'End') this.setSplit(100);
+            else return;
+            e.preventDefault();
+        });
+
+        document.addEventListener('contentlanguagechange', () => {
+            if (this.isOpen) this.render();
+        });
+    }
+
+    // Options for every section, grouped; values are "<section>:<index>"
+    renderOptions() {
+        const groups = COMPARE_SECTIONS.map(section => {
+            const group = document.createElement('optgroup');
+            group.label = translate(section.label) || section.id;
+            getGalleryImages(section.id).forEach((image, index) => {
+                group.appendChild(new Option(image.title, `${section.id}:${index}`));
+            });
+            return group;
+        }).filter(group => group.children.length);
+
+        this.selects.forEach((select, pane) => {
+            select.replaceChildren(...groups.map(group => group.cloneNode(true)));
+            const { section, index } = this.selection[pane];
+            select.value = `${section}:${index}`;
+        });
+    }
+
+    render() {
+        this.renderOptions();
+        this.selection.forEach((_, pane) => this.renderImage(pane));
+    }
+
+    renderImage(pane) {
+        const { section, index } = this.selection[pane];
+        const image = getGalleryImages(section)[index];
+        if (!image) return;
+        const img = this.images[pane];
+        if (img.getAttribute('src') !== image.src) img.src = image.src;
+        img.alt = (image.alt && translate(image.alt)) || image.title;
+    }
+
+    setImage(pane, selection) {
+        this.selection[pane] = selection;
+        this.zooms[pane].reset();
+        this.renderImage(pane);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.stage.dataset.mode = mode;
+        this.divider.hidden = mode !== 'swipe';
+        this.element.querySelectorAll('.compare-mode').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+        });
+    }
+
+    setSplit(value) {
+        this.split = Math.round(Math.min(100, Math.max(0, value)));
+        this.stage.style.setProperty('--compare-split', `${this.split}%`);
+        this.divider.setAttribute('aria-valuenow', String(this.split));
+    }
+
+    // Keep the same point of both images centred; each keeps its own zoom
+    syncFrom(pane, source) {
+        if (!this.syncPan || this.syncing) return;
+        const target = this.zooms[1 - pane];
+        this.syncing = true;
+        target.panTo(source.x / source.scale * target.scale, source.y / source.scale * target.scale);
+        this.syncing = false;
+    }
+
+    // first and second are { section, index } into getGalleryImages(section)
+    open(first, second, { mode = 'side' } = {}) {
+        this.selection = [first, second];
+        this.zooms.forEach(zoom => zoom.reset());
+        this.setMode(mode);
+        this.setSplit(50);
+        this.render();
+        this.isOpen = true;
+        this.element.classList.add('active');
+        this.element.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+        activateOverlay(this.element, {
+            initialFocus: this.element.querySelector('.compare-close'),
+            onEscape: () => this.close()
+        });
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.element.classList.remove('active');
+        this.element.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+        deactivateOverlay(this.element);
+    }
+}
+
+const compareViewer = new CompareViewer();
+
+// Pair an image with the next one from a different work in its section
+function openCompare(section, index) {
+    const images = getGalleryImages(section);
+    const current = images[index];
+    let other = (index + 1) % images.length;
+    for (let step = 1; step < images.length; step++) {
+        const candidate = (index + step) % images.length;
+        if (!current.work || !images[candidate].work || images[candidate].work.id !== current.work.id) {
+            other = candidate;
+            break;
+        }
+    }
+    compareViewer.open({ section, index }, { section, index: other });
+}
+
+// Before/after reveal of a work's first two images (sketch and model)
+function openReveal(work) {
+    const indices = getGalleryImages(work.section)
+        .map((image, index) => (image.work && image.work.id === work.id ? index : -1))
+        .filter(index => index !== -1);
+    if (indices.length < 2) return;
+    compareViewer.open(
+        { section: work.section, index: indices[0] },
+        { section: work.section, index: indices[1] },
+        { mode: 'swipe' }
+    );
+}
+
+document.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.content-card .reveal-toggle');
+    if (toggle) openReveal(getCatalogEntry(toggle.dataset.work));
+});
+
+// -------------------------
+// Quiz mode
+// -------------------------
+// Rounds of questions generated from the timeline and the catalog. Questions
+// hold ids only and are rendered through the locale bundles, so a round
+// survives a language change. Totals and the best streak persist.
+const QUIZ_LENGTH = 8;
+const QUIZ_MATCH_COUNT = 4;
+
+const quizState = {
+    questions: [],
+    index: 0,
+    answers: [],
+    streak: 0,
+    stats: loadQuizStats()
+};
+
+function loadQuizStats() {
+    return getPreference('quizStats');
+}
+
+function saveQuizStats() {
+    setPreference('quizStats', quizState.stats);
+}
+
+function shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// The answer plus up to three other distinct values, shuffled
+function pickOptions(answer, pool) {
+    const others = shuffle([...new Set(pool)].filter(value => value !== answer)).slice(0, 3);
+    return shuffle([answer, ...others]);
+}
+
+function getQuizEvent(id) {
+    return TIMELINE_EVENTS.find(event => event.id === id);
+}
+
+// Question generators; each returns null when it has nothing left to ask
+const QUIZ_GENERATORS = {
+    eventYear(used) {
+        // The description is shown as a hint, so it must not give the year away
+        const event = shuffle(TIMELINE_EVENTS).find(item => !used.has(item.id) &&
+            !(translate(item.desc) || '').includes(String(item.year)));
+        if (!event) return null;
+        // Nearby years make the choice less obvious
+        const nearby = [...new Set(TIMELINE_EVENTS.map(item => item.year))]
+            .sort((a, b) => Math.abs(a - event.year) - Math.abs(b - event.year))
+            .slice(0, 7);
+        return { type: 'eventYear', subjects: [event.id], options: pickOptions(event.year, nearby) };
+    },
+
+    workFromDesc(used) {
+        // Skip descriptions that name their own work in the active language
+        const work = shuffle(CATALOG).find(entry => !used.has(entry.id) &&
+            !(translate(entry.desc) || '').toLowerCase().includes((translate(entry.title) || '').toLowerCase()));
+        if (!work) return null;
+        const pool = getCatalogEntries(work.section).map(entry => entry.id);
+        return { type: 'workFromDesc', subjects: [work.id], options: pickOptions(work.id, pool) };
+    },
+
+    workLocation(used) {
+        const work = shuffle(CATALOG).find(entry => entry.location && !used.has(entry.id));
+        if (!work) return null;
+        const pool = CATALOG.map(entry => entry.location).filter(Boolean);
+        return { type: 'workLocation', subjects: [work.id], options: pickOptions(work.location, pool) };
+    },
+
+    // Events with distinct years, each to be matched with one of their years
+    matchYears(used) {
+        const events = [];
+        shuffle(TIMELINE_EVENTS).forEach(event => {
+            if (events.length < QUIZ_MATCH_COUNT && !used.has(event.id) &&
+                !events.some(item => item.year === event.year)) events.push(event);
+        });
+        if (events.length < QUIZ_MATCH_COUNT) return null;
+        events.sort((a, b) => a.year - b.year);
+        return { type: 'matchYears', subjects: events.map(event => event.id), options: shuffle(events.map(event => event.year)) };
+    }
+};
+
+function createQuizRound() {
+    const used = new Set();
+    const questions = [];
+    const types = Object.keys(QUIZ_GENERATORS);
+    for (let attempt = 0; questions.length < QUIZ_LENGTH && attempt < QUIZ_LENGTH * 4; attempt++) {
+        const question = QUIZ_GENERATORS[types[Math.floor(Math.random() * types.length)]](used);
+        if (!question) continue;
+        question.subjects.forEach(id => used.add(id));
+        questions.push(question);
+    }
+    return questions;
+}
+
+function getCorrectAnswers(question) {
+    switch (question.type) {
+        case 'eventYear': return [getQuizEvent(question.subjects[0]).year];
+        case 'workFromDesc': return [question.subjects[0]];
+        case 'workLocation': return [getCatalogEntry(question.subjects[0]).location];
+        case 'matchYears': return question.subjects.map(id => getQuizEvent(id).year);
+    }
+    return [];
+}
+
+function formatQuizOption(question, value) {
+    if (question.type === 'workFromDesc') return translate(getCatalogEntry(value).title) || value;
+    if (question.type === 'workLocation') return translate(value) || value;
+    return String(value);
+}
+
+// Source of a question's subject, for the "show on the page" links
+function getQuizSource(id) {
+    const event = getQuizEvent(id);
+    if (event) return { title: translate(event.title) || id, desc: translate(event.desc) || '', show: () => showTimelineEvent(id) };
+    const work = getCatalogEntry(id);
+    return {
+        title: translate(work.title) || id,
+        desc: translate(work.desc) || '',
+        facts: getWorkFacts(work).filter(fact => !fact.href).map(fact => fact.value).join(' · '),
+        show: () => {
+            const card = document.querySelector(`.content-card[data-work="${id}"]`);
+            if (card) focusPageItem(card);
+        }
+    };
+}
+
+// -------------------------
+// Quiz panel
+// -------------------------
+const quizBtn = document.getElementById('quizBtn');
+const mobileQuizBtn = document.getElementById('mobileQuizBtn');
+
+const quizPanel = document.createElement('div');
+quizPanel.className = 'settings-modal quiz-modal';
+quizPanel.setAttribute('aria-hidden', 'true');
+quizPanel.innerHTML = `
+    <div class="settings-content" role="dialog" aria-modal="true" aria-labelledby="quizTitle">
+        <div class="settings-header">
+            <h3 id="quizTitle" class="settings-title" data-i18n="quiz">Quiz</h3>
+            <button class="close-btn" aria-label="Close quiz" data-i18n-attr="aria-label:closeQuiz">×</button>
+        </div>
+        <p class="quiz-stats"></p>
+        <div class="quiz-body"></div>
+        <div class="quiz-feedback" aria-live="polite"></div>
+        <div class="quiz-footer"></div>
+    </div>
+`;
+document.body.appendChild(quizPanel);
+const quizPanelClose = quizPanel.querySelector('.close-btn');
+const quizBody = quizPanel.querySelector('.quiz-body');
+const quizFeedback = quizPanel.querySelector('.quiz-feedback');
+const quizFooter = quizPanel.querySelector('.quiz-footer');
+
+function renderQuizStats() {
+    const { answered, correct, bestStreak } = quizState.stats;
+    quizPanel.querySelector('.quiz-stats').textContent = formatTranslation('quizStats', {
+        correct, answered, streak: quizState.streak, best: bestStreak
+    }) || '';
+}
+
+function createQuizButton(label, onClick, className = 'quiz-action') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function renderQuizQuestion() {
+    const question = quizState.questions[quizState.index];
+    const answer = quizState.answers[quizState.index];
+    const correct = getCorrectAnswers(question);
+
+    const progress = document.createElement('p');
+    progress.className = 'quiz-progress';
+    progress.textContent = formatTranslation('quizProgress', { current: quizState.index + 1, total: quizState.questions.length }) || '';
+
+    const prompt = document.createElement('h4');
+    prompt.className = 'quiz-question';
+    prompt.id = 'quizQuestion';
+    const subject = question.subjects[0];
+    switch (question.type) {
+        case 'eventYear':
+            prompt.textContent = formatTranslation('quizEventYear', { event: translate(getQuizEvent(subject).title) || '' }) || '';
+            break;
+        case 'workFromDesc':
+            prompt.textContent = translate('quizWorkFromDesc') || '';
+            break;
+        case 'workLocation':
+            prompt.textContent = formatTranslation('quizWorkLocation', { work: translate(getCatalogEntry(subject).title) || '' }) || '';
+            break;
+        case 'matchYears':
+            prompt.textContent = translate('quizMatchYears') || '';
+            break;
+    }
+    const parts = [progress, prompt];
+
+    if (question.type === 'workFromDesc' || question.type === 'eventYear') {
+        const quote = document.createElement('blockquote');
+        quote.className = 'quiz-quote';
+        quote.textContent = getQuizSource(subject).desc;
+        parts.push(quote);
+    }
+
+    if (question.type === 'matchYears') {
+        const rows = document.createElement('div');
+        rows.className = 'quiz-match';
+        question.subjects.forEach((id, row) => {
+            const label = document.createElement('label');
+            label.className = 'quiz-match-row';
+            const name = document.createElement('span');
+            name.textContent = translate(getQuizEvent(id).title) || id;
+            const select = document.createElement('select');
+            select.className = 'quiz-match-select';
+            select.add(new Option('—', ''));
+            question.options.forEach(year => select.add(new Option(String(year), String(year))));
+            if (answer) {
+                select.value = String(answer.choices[row]);
+                select.disabled = true;
+                label.classList.add(answer.choices[row] === correct[row] ? 'correct' : 'incorrect');
+            }
+            label.append(name, select);
+            rows.appendChild(label);
+        });
+        parts.push(rows);
+        if (!answer) {
+            parts.push(createQuizButton(translate('quizCheck') || '', () => {
+                const choices = Array.from(rows.querySelectorAll('select'), select => Number(select.value) || null);
+                answerQuiz(choices);
+            }));
+        }
+    } else {
+        const options = document.createElement('div');
+        options.className = 'quiz-options';
+        options.setAttribute('role', 'group');
+        options.setAttribute('aria-labelledby', prompt.id);
+        question.options.forEach(value => {
+            const button = createQuizButton(formatQuizOption(question, value), () => answerQuiz([value]), 'quiz-option');
+            if (answer) {
+                button.disabled = true;
+                if (value === correct[0]) button.classList.add('correct');
+                else if (value === answer.choices[0]) button.classList.add('incorrect');
+            }
+            options.appendChild(button);
+        });
+        parts.push(options);
+    }
+
+    quizBody.replaceChildren(...parts);
+    renderQuizFeedback();
+}
+
+// Verdict, the right answer and links back to where it comes from
+function renderQuizFeedback() {
+    const question = quizState.questions[quizState.index];
+    const answer = quizState.answers[quizState.index];
+    quizFooter.replaceChildren();
+    if (!answer) {
+        quizFeedback.replaceChildren();
+        return;
+    }
+
+    const verdict = document.createElement('p');
+    verdict.className = `quiz-verdict ${answer.correct ? 'correct' : 'incorrect'}`;
+    verdict.textContent = translate(answer.correct ? 'quizCorrect' : 'quizIncorrect') || '';
+    const parts = [verdict];
+
+    const correct = getCorrectAnswers(question);
+    question.subjects.forEach((id, row) => {
+        const source = getQuizSource(id);
+        const explanation = document.createElement('div');
+        explanation.className = 'quiz-explanation';
+        const answerText = document.createElement('p');
+        answerText.className = 'quiz-answer';
+        answerText.textContent = question.type === 'matchYears'
+            ? `${source.title}: ${correct[row]}`
+            : formatTranslation('quizAnswer', { answer: formatQuizOption(question, correct[0]) }) || '';
+        explanation.appendChild(answerText);
+        // Descriptions that served as the hint are not repeated
+        [source.facts, question.type === 'workLocation' && source.desc].filter(Boolean).forEach(text => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            explanation.appendChild(line);
+        });
+        explanation.appendChild(createQuizButton(translate(getQuizEvent(id) ? 'quizShowEvent' : 'quizShowCard') || '', () => {
+            closeQuiz();
+            source.show();
+        }, 'quiz-source'));
+        parts.push(explanation);
+    });
+    quizFeedback.replaceChildren(...parts);
+
+    const isLast = quizState.index === quizState.questions.length - 1;
+    quizFooter.appendChild(createQuizButton(translate(isLast ? 'quizFinish' : 'quizNext') || '', () => {
+        quizState.index += 1;
+        renderQuiz();
+        focusQuiz();
+    }));
+}
+
+function renderQuizSummary() {
+    const correct = quizState.answers.filter(answer => answer.correct).length;
+    const summary = document.createElement('p');
+    summary.className = 'quiz-summary';
+    summary.textContent = formatTranslation('quizSummary', { correct, total: quizState.questions.length }) || '';
+    quizBody.replaceChildren(summary);
+    quizFeedback.replaceChildren();
+    quizFooter.replaceChildren(createQuizButton(translate('quizPlayAgain') || '', () => {
+        startQuizRound();
+        focusQuiz();
+    }));
+}
+
+function renderQuiz() {
+    renderQuizStats();
+    if (quizState.index < quizState.questions.length) renderQuizQuestion();
+    else renderQuizSummary();
+}
+
+// Move focus to the first control of the new question or summary
+function focusQuiz() {
+    const target = quizBody.querySelector('button, select') || quizFooter.querySelector('button');
+    if (target) target.focus();
+}
+
+function answerQuiz(choices) {
+    const question = quizState.questions[quizState.index];
+    if (quizState.answers[quizState.index]) return;
+    const correctAnswers = getCorrectAnswers(question);
+    const correct = correctAnswers.every((value, index) => choices[index] === value);
+
+    quizState.answers[quizState.index] = { choices, correct };
+    quizState.streak = correct ? quizState.streak + 1 : 0;
+    const stats = quizState.stats;
+    stats.answered += 1;
+    if (correct) stats.correct += 1;
+    stats.bestStreak = Math.max(stats.bestStreak, quizState.streak);
+    saveQuizStats();
+
+    renderQuiz();
+    const next = quizFooter.querySelector('button');
+    if (next) next.focus();
+}
+
+function startQuizRound() {
+    quizState.questions = createQuizRound();
+    quizState.index = 0;
+    quizState.answers = [];
+    renderQuiz();
+}
+
+function openQuiz() {
+    // Continue an unfinished round, otherwise start a new one
+    if (!quizState.questions.length || quizState.index >= quizState.questions.length) startQuizRound();
+    else renderQuiz();
+    quizPanel.classList.add('active');
+    quizPanel.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+    activateOverlay(quizPanel, { initialFocus: quizPanelClose, onEscape: closeQuiz });
+}
+
+function closeQuiz() {
+    quizPanel.classList.remove('active');
+    quizPanel.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+    deactivateOverlay(quizPanel);
+}
+
+quizBtn.addEventListener('click', openQuiz);
+mobileQuizBtn.addEventListener('click', () => {
+    // Close mobile menu first, as for settings
+    hamburger.classList.remove('active');
+    mobileMenu.classList.remove('active');
+    openQuiz();
+});
+quizPanelClose.addEventListener('click', closeQuiz);
+quizPanel.addEventListener('click', (e) => {
+    if (e.target === quizPanel) closeQuiz();
+});
+
+document.addEventListener('contentlanguagechange', () => {
+    if (quizPanel.classList.contains('active')) renderQuiz();
+});
+
+// -------------------------
+// Read aloud
+// -------------------------
+// Reads a section or the gallery caption with the browser's own speech
+// synthesis, one sentence per utterance so the current sentence can be
+// highlighted and skipped. Only on-device voices are used.
+const READ_ALOUD_SELECTOR = [
+    '.section-title', '.timeline-period-title', '.timeline-item .year', '.timeline-content h4',
+    '.timeline-content p', '.timeline-decade-event', '.card-title', '.card-text'
+].join(', ');
+const readAloudSupported = 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+
+const narration = {
+    sentences: [],
+    index: 0,
+    paused: false,
+    utterance: null,
+    // The Listen button that started it and the overlay (or body) hosting the player
+    source: null,
+    host: null,
+    // A start waiting for the browser to list its voices
+    pending: null
+};
+
+// Prefer a local (offline) voice for the language, then any voice for it
+function getReadAloudVoice(lang) {
+    const matches = speechSynthesis.getVoices().filter(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === lang);
+    const local = matches.filter(voice => voice.localService);
+    return local.find(voice => voice.default) || local[0] || matches.find(voice => voice.default) || matches[0] || null;
+}
+
+function splitSentences(text, lang) {
+    if (window.Intl && Intl.Segmenter) {
+        return Array.from(new Intl.Segmenter(lang, { granularity: 'sentence' }).segment(text),
+            ({ segment, index }) => ({ text: segment, start: index }));
+    }
+    const sentences = [];
+    const pattern = /[^.!?]+[.!?]*\s*/g;
+    let match;
+    while ((match = pattern.exec(text))) sentences.push({ text: match[0], start: match.index });
+    return sentences;
+}
+
+// Sentences of the given elements, with character offsets for highlighting
+function collectSentences(elements, lang) {
+    return elements.flatMap(element => splitSentences(element.textContent, lang)
+        .map(({ text, start }) => {
+            const lead = text.length - text.trimStart().length;
+            const trimmed = text.trim();
+            return { element, text: trimmed, start: start + lead, end: start + lead + trimmed.length };
+        })
+        .filter(sentence => /\w/.test(sentence.text)));
+}
+
+// Range over [start, end) of an element's text, across nested nodes
+function createTextRange(element, start, end) {
+    const range = document.createRange();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let offset = 0;
+    let node;
+    let started = false;
+    while ((node = walker.nextNode())) {
+        const next = offset + node.length;
+        if (!started && start < next) {
+            range.setStart(node, start - offset);
+            started = true;
+        }
+        if (started && end <= next) {
+            range.setEnd(node, end - offset);
+            return range;
+        }
+        offset = next;
+    }
+    return started ? range : null;
+}
+
+function highlightSentence(sentence) {
+    document.querySelectorAll('.read-aloud-current').forEach(el => el.classList.remove('read-aloud-current'));
+    if (window.CSS && CSS.highlights) CSS.highlights.delete('read-aloud');
+    if (!sentence) return;
+    sentence.element.classList.add('read-aloud-current');
+    const range = window.CSS && CSS.highlights && createTextRange(sentence.element, sentence.start, sentence.end);
+    if (range) CSS.highlights.set('read-aloud', new Highlight(range));
+}
+
+// -------------------------
+// Read aloud player
+// -------------------------
+const readAloudPlayer = document.createElement('div');
+readAloudPlayer.className = 'read-aloud-player';
+readAloudPlayer.setAttribute('role', 'region');
+readAloudPlayer.hidden = true;
+readAloudPlayer.innerHTML = `
+    <span class="read-aloud-status" aria-live="polite"></span>
+    <button type="button" class="read-aloud-control" data-action="prev" aria-label="Previous sentence" data-i18n-attr="aria-label:readAloudPrev;title:readAloudPrev">⏮</button>
+    <button type="button" class="read-aloud-control" data-action="toggle" aria-label="Pause" data-i18n-attr="aria-label:readAloudPause;title:readAloudPause">⏸</button>
+    <button type="button" class="read-aloud-control" data-action="next" aria-label="Next sentence" data-i18n-attr="aria-label:readAloudNext;title:readAloudNext">⏭</button>
+    <button type="button" class="read-aloud-control" data-action="stop" aria-label="Stop reading" data-i18n-attr="aria-label:readAloudStop;title:readAloudStop">■</button>
+`;
+readAloudPlayer.dataset.i18nAttr = 'aria-label:readAloudPlayer';
+const readAloudStatus = readAloudPlayer.querySelector('.read-aloud-status');
+const readAloudToggle = readAloudPlayer.querySelector('[data-action="toggle"]');
+
+function updateReadAloudControls() {
+    const key = narration.paused ? 'readAloudResume' : 'readAloudPause';
+    readAloudToggle.textContent = narration.paused ? '▶' : '⏸';
+    readAloudToggle.dataset.i18nAttr = `aria-label:${key};title:${key}`;
+    translateElement(readAloudToggle, currentLang);
+    const playing = narration.sentences.length > 0;
+    readAloudPlayer.querySelectorAll('[data-action="prev"], [data-action="next"], [data-action="toggle"]').forEach(button => {
+        button.hidden = !playing;
+    });
+    document.querySelectorAll('.listen-btn').forEach(button => {
+        const active = button === narration.source;
+        const label = active ? 'readAloudStop' : 'readAloudListen';
+        button.setAttribute('aria-pressed', String(active));
+        button.querySelector('[data-i18n]').dataset.i18n = label;
+        translateElement(button.querySelector('[data-i18n]'), currentLang);
+    });
+}
+
+function speakSentence(index) {
+    const sentence = narration.sentences[index];
+    if (!sentence) {
+        stopReadAloud();
+        return;
+    }
+    narration.index = index;
+    narration.paused = false;
+    const utterance = new SpeechSynthesisUtterance(sentence.text);
+    utterance.lang = currentLang;
+    utterance.voice = narration.voice;
+    // Ignore events from utterances cancelled by skipping or stopping
+    utterance.onend = () => {
+        if (narration.utterance === utterance) speakSentence(narration.index + 1);
+    };
+    utterance.onerror = (e) => {
+        if (narration.utterance !== utterance || e.error === 'interrupted' || e.error === 'canceled') return;
+        console.warn('Read aloud failed:', e.error);
+        stopReadAloud();
+    };
+    narration.utterance = utterance;
+    speechSynthesis.cancel();
+    // A paused queue would hold the new sentence too
+    speechSynthesis.resume();
+    speechSynthesis.speak(utterance);
+    highlightSentence(sentence);
+    updateReadAloudControls();
+}
+
+// Read the given elements; the player joins the overlay the button is in
+function startReadAloud(source, elements, title) {
+    stopReadAloud();
+    narration.source = source;
+    narration.host = source.closest('.gallery-viewer, .settings-modal') || document.body;
+    narration.host.appendChild(readAloudPlayer);
+    readAloudPlayer.hidden = false;
+
+    narration.voice = getReadAloudVoice(currentLang);
+    if (!narration.voice) {
+        narration.pending = { source, elements, title };
+        readAloudStatus.textContent = translate('readAloudNoVoice') || '';
+        updateReadAloudControls();
+        return;
+    }
+    readAloudStatus.textContent = formatTranslation('readAloudReading', { title }) || title;
+    narration.sentences = collectSentences(elements.filter(el => !el.closest('[hidden]')), currentLang);
+    speakSentence(0);
+}
+
+// Stop reading; with a host, only if the narration belongs to it
+function stopReadAloud(host = null) {
+    if (host && narration.host !== host) return;
+    narration.utterance = null;
+    narration.sentences = [];
+    narration.source = null;
+    narration.host = null;
+    narration.pending = null;
+    narration.paused = false;
+    if (readAloudSupported) speechSynthesis.cancel();
+    highlightSentence(null);
+    readAloudPlayer.hidden = true;
+    updateReadAloudControls();
+}
+
+function toggleReadAloudPause() {
+    if (!narration.utterance) return;
+    if (narration.paused) speechSynthesis.resume();
+    else speechSynthesis.pause();
+    narration.paused = !narration.paused;
+    updateReadAloudControls();
+}
+
+function createListenButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'listen-btn';
+    button.setAttribute('aria-pressed', 'false');
+    button.innerHTML = '<span aria-hidden="true">🔊</span> <span data-i18n="readAloudListen">Listen</span>';
+    return button;
+}
+
+readAloudPlayer.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    switch (button.dataset.action) {
+        case 'prev': speakSentence(Math.max(0, narration.index - 1)); break;
+        case 'next': speakSentence(narration.index + 1); break;
+        case 'toggle': toggleReadAloudPause(); break;
+        case 'stop': stopReadAloud(); break;
+    }
+});
+
+if (readAloudSupported) {
+    // A Listen button under every section heading
+    document.querySelectorAll('section.section').forEach(section => {
+        const title = section.querySelector('.section-title');
+        const button = createListenButton();
+        button.addEventListener('click', () => {
+            if (narration.source === button) stopReadAloud();
+            else startReadAloud(button, Array.from(section.querySelectorAll(READ_ALOUD_SELECTOR)), title.textContent);
+        });
+        title.after(button);
+    });
+
+    // And one in the gallery caption, reading the title and description
+    const galleryListen = createListenButton();
+    galleryListen.classList.add('gallery-listen');
+    galleryListen.addEventListener('click', () => {
+        if (narration.source === galleryListen) stopReadAloud();
+        else startReadAloud(galleryListen, [galleryViewer.titleElement, galleryViewer.infoBody.querySelector('.gallery-info-desc')], galleryViewer.titleElement.textContent);
+    });
+    galleryViewer.infoBody.prepend(galleryListen);
+    applyTranslations(readAloudPlayer, currentLang);
+
+    // Voices load asynchronously in some browsers, so a first click may find
+    // none yet; start it again once they arrive
+    speechSynthesis.addEventListener('voiceschanged', () => {
+        if (!narration.pending || !getReadAloudVoice(currentLang)) return;
+        const { source, elements, title } = narration.pending;
+        startReadAloud(source, elements, title);
+    });
+    document.addEventListener('contentlanguagechange', () => stopReadAloud());
+    document.addEventListener('overlayclose', (e) => stopReadAloud(e.detail.overlay));
+    window.addEventListener('pagehide', () => stopReadAloud());
+}
+
+// -------------------------
+// Settings file and changes from other tabs
+// -------------------------
+// The export holds every stored preference (the last section read stays a
+// separate, per-device key) and goes through the same migrations as the
+// stored values when imported, so files from older versions still load.
+const PREFERENCES_EXPORT_FORMAT = 'leonardo-preferences';
+const settingsFileStatus = document.getElementById('settingsFileStatus');
+
+function getExportablePreferences() {
+    return Object.fromEntries(Object.keys(PREFERENCE_SCHEMA).map(key => [key, getPreference(key)]));
+}
+
+function exportPreferences() {
+    const data = {
+        format: PREFERENCES_EXPORT_FORMAT,
+        version: PREFERENCES_VERSION,
+        exportedAt: new Date().toISOString(),
+        values: getExportablePreferences()
+    };
+    downloadFile('leonardo-settings.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+function parsePreferencesFile(text) {
+    const data = JSON.parse(text);
+    if (!isRecord(data) || data.format !== PREFERENCES_EXPORT_FORMAT || !isRecord(data.values)) {
+        throw new Error('Not a settings export');
+    }
+    if (typeof data.version !== 'number' || data.version > PREFERENCES_VERSION) {
+        throw new Error(`Unsupported settings version: ${data.version}`);
+    }
+    return cleanPreferences(migratePreferences(data.version, data.values));
+}
+
+async function importPreferences(file) {
+    const values = parsePreferencesFile(await file.text());
+    updatePreferences(values, { external: true });
+}
+
+document.getElementById('exportSettings').addEventListener('click', () => {
+    exportPreferences();
+    settingsFileStatus.textContent = '';
+});
+
+document.getElementById('importSettings').addEventListener('change', async (e) => {
+    const input = e.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+    try {
+        await importPreferences(file);
+        settingsFileStatus.textContent = translate('settingsImported') || '';
+    } catch (error) {
+        console.warn('Settings import failed:', error);
+        settingsFileStatus.textContent = translate('settingsImportFailed') || '';
+    }
+    // Allow importing the same file again
+    input.value = '';
+});
+
+// Preferences changed elsewhere (another tab or an imported file) are
+// applied here; local changes were already applied by whoever made them
+document.addEventListener('preferencechange', (e) => {
+    const { key, value, external } = e.detail;
+    if (!external) return;
+    switch (key) {
+        case 'theme':
+            applyThemeUI(value);
+            break;
+        case 'motion':
+            applyMotionUI(value);
+            break;
+        case 'reading':
+            applyReadingUI(value);
+            break;
+        case 'language':
+            if (value && value !== currentLang) setLanguage(value);
+            break;
+        case 'quizStats':
+            quizState.stats = getPreference('quizStats');
+            renderQuizStats();
+            break;
+    }
+});
@@ -0,0 +1,60 @@
+// -------------------------
+// Biography timeline
+// -------------------------
+// Dated events of Leonardo's life, grouped into the periods below. Titles,
+// descriptions and labels are keys into ./locales/<code>.json; themes are
+// the filters offered next to the timeline (events without a theme only
+// show while no theme is selected).
+const TIMELINE_PERIODS = [
+    { id: 'florence', label: 'periodFlorence', start: 1452, end: 1482 },
+    { id: 'milan', label: 'periodMilan', start: 1482, end: 1499 },
+    { id: 'wanderings', label: 'periodWanderings', start: 1499, end: 1513 },
+    { id: 'rome', label: 'periodRome', start: 1513, end: 1516 },
+    { id: 'france', label: 'periodFrance', start: 1516, end: 1519 }
+];
+
+const TIMELINE_THEMES = [
+    { id: 'art', label: 'themeArt' },
+    { id: 'engineering', label: 'themeEngineering' },
+    { id: 'anatomy', label: 'themeAnatomy' }
+];
+
+const TIMELINE_EVENTS = [
+    // Florence
+    { id: 'birth', year: 1452, period: 'florence', themes: [], title: 'birth1452', desc: 'birthDesc' },
+    { id: 'apprentice', year: 1466, circa: true, period: 'florence', themes: ['art'], title: 'apprentice1466', desc: 'apprenticeDesc' },
+    { id: 'guild', year: 1472, period: 'florence', themes: ['art'], title: 'guild1472', desc: 'guildDesc' },
+    { id: 'arno', year: 1473, period: 'florence', themes: ['art'], title: 'arno1473', desc: 'arnoDesc' },
+    { id: 'baptism', year: 1475, circa: true, period: 'florence', themes: ['art'], title: 'baptism1475', desc: 'baptismDesc' },
+    { id: 'adoration', year: 1481, period: 'florence', themes: ['art'], title: 'adoration1481', desc: 'adorationDesc' },
+
+    // First Milanese period
+    { id: 'milan', year: 1482, period: 'milan', themes: ['engineering'], title: 'milan1482', desc: 'milanDesc' },
+    { id: 'rocks', year: 1483, period: 'milan', themes: ['art'], title: 'rocks1483', desc: 'rocksDesc' },
+    { id: 'war', year: 1485, circa: true, period: 'milan', themes: ['engineering'], title: 'war1485', desc: 'warDesc' },
+    { id: 'cathedral', year: 1487, period: 'milan', themes: ['engineering'], title: 'cathedral1487', desc: 'cathedralDesc' },
+    { id: 'skull', year: 1489, period: 'milan', themes: ['anatomy'], title: 'skull1489', desc: 'skullDesc' },
+    { id: 'vitruvian', year: 1490, circa: true, period: 'milan', themes: ['art', 'anatomy'], title: 'vitruvian1490', desc: 'vitruvianEventDesc' },
+    { id: 'horse', year: 1493, period: 'milan', themes: ['art', 'engineering'], title: 'horse1493', desc: 'horseDesc' },
+    { id: 'supper', year: 1495, period: 'milan', themes: ['art'], title: 'supper1495', desc: 'supperEventDesc' },
+
+    // Wanderings
+    { id: 'leaving', year: 1499, period: 'wanderings', themes: [], title: 'leaving1499', desc: 'leavingDesc' },
+    { id: 'venice', year: 1500, period: 'wanderings', themes: ['engineering'], title: 'venice1500', desc: 'veniceDesc' },
+    { id: 'borgia', year: 1502, period: 'wanderings', themes: ['engineering'], title: 'borgia1502', desc: 'borgiaDesc' },
+    { id: 'mona', year: 1503, period: 'wanderings', themes: ['art'], title: 'mona1503', desc: 'monaDesc' },
+    { id: 'anghiari', year: 1505, period: 'wanderings', themes: ['art'], title: 'anghiari1505', desc: 'anghiariDesc' },
+    { id: 'birds', year: 1505, period: 'wanderings', themes: ['engineering'], title: 'birds1505', desc: 'birdsDesc' },
+    { id: 'return', year: 1506, period: 'wanderings', themes: [], title: 'return1506', desc: 'returnDesc' },
+    { id: 'anatomy', year: 1510, period: 'wanderings', themes: ['anatomy'], title: 'anatomy1510', desc: 'anatomyDesc' },
+
+    // Rome
+    { id: 'rome', year: 1513, period: 'rome', themes: [], title: 'rome1513', desc: 'romeDesc' },
+    { id: 'marshes', year: 1514, circa: true, period: 'rome', themes: ['engineering'], title: 'marshes1514', desc: 'marshesDesc' },
+    { id: 'lion', year: 1515, period: 'rome', themes: ['engineering'], title: 'lion1515', desc: 'lionDesc' },
+
+    // France
+    { id: 'france', year: 1516, period: 'france', themes: [], title: 'france1516', desc: 'franceDesc' },
+    { id: 'romorantin', year: 1517, period: 'france', themes: ['engineering'], title: 'romorantin1517', desc: 'romorantinDesc' },
+    { id: 'death', year: 1519, period: 'france', themes: [], title: 'death1519', desc: 'deathDesc' }
+];